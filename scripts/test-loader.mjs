@@ -0,0 +1,45 @@
+// ./scripts/test-loader.mjs
+//
+// Lets plain Node import the game modules the way Next.js bundles them: imports without
+// a file extension (`./Simulation`, `next/server`) resolve to the `.js` file, and `.js`
+// files under src/ load as ES modules (package.json has no "type": "module"). Registered by `npm test`, e.g.
+//   node --import ./scripts/test-loader.mjs --test tests/
+
+import { register } from 'node:module';
+import { isMainThread } from 'node:worker_threads';
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const SOURCE_URL = new URL('../src/', import.meta.url).href;
+
+// Runs in the loader thread
+export async function resolve(specifier, context, nextResolve) {
+  if (!context.parentURL?.startsWith(SOURCE_URL) || /\.[cm]?js$/.test(specifier)) {
+    return nextResolve(specifier, context);
+  }
+
+  const isRelative = specifier.startsWith('./') || specifier.startsWith('../');
+  if (isRelative) {
+    const url = new URL(`${specifier}.js`, context.parentURL);
+    if (existsSync(fileURLToPath(url))) return nextResolve(url.href, context);
+    return nextResolve(specifier, context);
+  }
+
+  // Package subpaths without an exports map, e.g. `next/server`
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.includes('/')) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SOURCE_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
+
+// On `--import` this installs its own hooks, which load this file again in the loader thread
+if (isMainThread) register(import.meta.url);
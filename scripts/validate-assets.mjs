@@ -0,0 +1,57 @@
+// ./scripts/validate-assets.mjs
+//
+// Checks that every asset path referenced in the source (models, sounds, images) exists
+// under public/. Run with `npm run validate:assets`; exits with code 1 if any are missing.
+
+import { readdirSync, readFileSync, existsSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const SOURCE_DIR = join(ROOT, 'src');
+const PUBLIC_DIR = join(ROOT, 'public');
+
+const SOURCE_EXTENSIONS = /\.(js|jsx|mjs|css)$/;
+const ASSET_EXTENSIONS = 'glb|gltf|mp3|ogg|wav|png|jpe?g|webp|svg|hdr';
+
+// A root-relative path to an asset file inside quotes, e.g. '/items/coin.glb'
+const ASSET_PATH = new RegExp(`['"\`](/[^'"\`\\s$]+\\.(?:${ASSET_EXTENSIONS}))['"\`]`, 'g');
+
+// Every source file below a directory
+function listFiles(dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const path = join(dir, name);
+    if (statSync(path).isDirectory()) return listFiles(path);
+    return SOURCE_EXTENSIONS.test(name) ? [path] : [];
+  });
+}
+
+// Asset path -> source locations referencing it
+const references = new Map();
+
+listFiles(SOURCE_DIR).forEach((file) => {
+  readFileSync(file, 'utf8')
+    .split('\n')
+    .forEach((line, index) => {
+      for (const [, assetPath] of line.matchAll(ASSET_PATH)) {
+        const locations = references.get(assetPath) || [];
+        locations.push(`${relative(ROOT, file)}:${index + 1}`);
+        references.set(assetPath, locations);
+      }
+    });
+});
+
+const missing = [...references].filter(([assetPath]) => !existsSync(join(PUBLIC_DIR, assetPath)));
+
+console.log(`Checked ${references.size} asset paths against public/.`);
+
+if (missing.length > 0) {
+  console.error(`\n${missing.length} missing:`);
+  missing.forEach(([assetPath, locations]) => {
+    console.error(`  ${assetPath}`);
+    locations.forEach((location) => console.error(`    referenced in ${location}`));
+  });
+  process.exit(1);
+}
+
+console.log('All assets found.');
@@ -0,0 +1,133 @@
+// ./src/app/api/scores/route.js
+
+import { randomUUID, timingSafeEqual } from 'crypto';
+import { NextResponse } from 'next/server';
+import { getScoreStore, DEFAULT_LIMIT } from './store';
+import { validateRun } from './validateRun';
+import { isDifficultyId } from '../../components/Difficulty';
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Entries as GET and PATCH return them. The edit token only ever goes back to whoever
+// POSTed the run, so nobody else can change it.
+function toPublicEntry({ editToken, ...entry }) {
+  return entry;
+}
+
+// Compares a given edit token with the stored one in constant time
+function isEditToken(stored, given) {
+  if (typeof stored !== 'string' || typeof given !== 'string') return false;
+
+  const expected = Buffer.from(stored);
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+}
+
+/**
+ * GET /api/scores?seed=<seed>&day=<YYYY-MM-DD>&difficulty=<tier>&limit=<n>
+ * Returns the top scores, optionally for one seed, one UTC day and/or one difficulty.
+ * The same seed plays differently on each difficulty, so course rankings should pass one.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const seed = searchParams.get('seed') ?? undefined;
+  const day = searchParams.get('day') ?? undefined;
+  const difficulty = searchParams.get('difficulty') ?? undefined;
+  const limit = Number(searchParams.get('limit') ?? DEFAULT_LIMIT);
+
+  if (day !== undefined && !DAY_PATTERN.test(day)) {
+    return NextResponse.json({ error: 'day must be YYYY-MM-DD' }, { status: 400 });
+  }
+  if (difficulty !== undefined && !isDifficultyId(difficulty)) {
+    return NextResponse.json({ error: 'Unknown difficulty' }, { status: 400 });
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    return NextResponse.json({ error: 'limit must be a positive integer' }, { status: 400 });
+  }
+
+  try {
+    const scores = await getScoreStore().getTopScores({ seed, day, difficulty, limit });
+    return NextResponse.json({ scores: scores.map(toPublicEntry) });
+  } catch (error) {
+    console.error('Error reading scores:', error);
+    return NextResponse.json({ error: 'Could not read scores' }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/scores
+ * Body: { name?, character, difficulty?, seed, score, coins, distance, duration }
+ * Stores a finished run after checking it is plausible. The stored entry comes back with
+ * an `editToken`, which a PATCH for the same run must send.
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Body must be valid JSON' }, { status: 400 });
+  }
+
+  const { run, errors } = validateRun(body);
+  if (!run) {
+    return NextResponse.json({ error: 'Invalid run', details: errors }, { status: 422 });
+  }
+
+  const createdAt = new Date().toISOString();
+  const entry = { id: randomUUID(), editToken: randomUUID(), ...run, day: createdAt.slice(0, 10), createdAt };
+
+  try {
+    await getScoreStore().addScore(entry);
+    return NextResponse.json({ score: entry }, { status: 201 });
+  } catch (error) {
+    console.error('Error saving score:', error);
+    return NextResponse.json({ error: 'Could not save score' }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/scores
+ * Body: { id, editToken, character, difficulty?, seed, score, coins, distance, duration }
+ * Updates a stored run that went on after a revive. Only the submitter can: `editToken`
+ * must be the one POST returned. It must be the same course and character, can only have
+ * gone further, and keeps the name it was submitted with.
+ */
+export async function PATCH(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return NextResponse.json({ error: 'Body must be valid JSON' }, { status: 400 });
+  }
+
+  if (typeof body?.id !== 'string' || !body.id || typeof body.editToken !== 'string' || !body.editToken) {
+    return NextResponse.json({ error: 'id and editToken are required' }, { status: 400 });
+  }
+
+  const { run, errors } = validateRun(body);
+  if (!run) {
+    return NextResponse.json({ error: 'Invalid run', details: errors }, { status: 422 });
+  }
+
+  const store = getScoreStore();
+  try {
+    const stored = await store.getScore(body.id);
+    if (!stored) {
+      return NextResponse.json({ error: 'Unknown score id' }, { status: 404 });
+    }
+    if (!isEditToken(stored.editToken, body.editToken)) {
+      return NextResponse.json({ error: 'Not allowed to change this score' }, { status: 403 });
+    }
+
+    const sameRun = stored.seed === run.seed && stored.character === run.character && stored.difficulty === run.difficulty;
+    if (!sameRun || run.distance < stored.distance || run.score < stored.score) {
+      return NextResponse.json({ error: 'Run does not continue the stored one' }, { status: 409 });
+    }
+
+    const entry = await store.updateScore(body.id, { ...run, name: stored.name });
+    return NextResponse.json({ score: toPublicEntry(entry) });
+  } catch (error) {
+    console.error('Error updating score:', error);
+    return NextResponse.json({ error: 'Could not update score' }, { status: 500 });
+  }
+}
@@ -0,0 +1,122 @@
+// ./src/app/api/scores/store.js
+//
+// Pluggable storage for submitted runs. A store implements:
+//   addScore(entry)                       -> Promise<entry>
+//   getScore(id)                          -> Promise<entry|null>
+//   updateScore(id, update)               -> Promise<entry|null> (null if no entry has that id)
+//   getTopScores({ seed, day, difficulty, limit }) -> Promise<entry[]> (highest score first)
+// Pick one with SCORES_STORE (`json` by default, `memory` for throwaway servers).
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export const DEFAULT_LIMIT = 10;
+export const MAX_LIMIT = 100;
+
+// Filters entries by seed, UTC day and/or difficulty and returns the best `limit` of them
+function selectTopScores(entries, { seed, day, difficulty, limit = DEFAULT_LIMIT }) {
+  return entries
+    .filter(
+      (entry) =>
+        (seed === undefined || entry.seed === seed) &&
+        (day === undefined || entry.day === day) &&
+        (difficulty === undefined || entry.difficulty === difficulty)
+    )
+    .sort((a, b) => b.score - a.score || a.createdAt.localeCompare(b.createdAt))
+    .slice(0, Math.min(limit, MAX_LIMIT));
+}
+
+/**
+ * Keeps scores in memory; they are lost when the server restarts.
+ * @returns {Object} - Score store.
+ */
+export function createMemoryStore() {
+  const entries = [];
+
+  return {
+    async addScore(entry) {
+      entries.push(entry);
+      return entry;
+    },
+    async getScore(id) {
+      return entries.find((stored) => stored.id === id) || null;
+    },
+    async updateScore(id, update) {
+      const entry = entries.find((stored) => stored.id === id);
+      return entry ? Object.assign(entry, update) : null;
+    },
+    async getTopScores(query) {
+      return selectTopScores(entries, query);
+    },
+  };
+}
+
+/**
+ * Keeps scores in a local JSON file.
+ * @param {string} filePath - Where to read and write the scores.
+ * @returns {Object} - Score store.
+ */
+export function createJsonFileStore(filePath) {
+  let writeQueue = Promise.resolve(); // Serializes writes so concurrent POSTs don't lose entries
+
+  const readEntries = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    addScore(entry) {
+      writeQueue = writeQueue.catch(() => {}).then(async () => {
+        const entries = await readEntries();
+        entries.push(entry);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, JSON.stringify(entries, null, 2));
+        return entry;
+      });
+      return writeQueue;
+    },
+    async getScore(id) {
+      await writeQueue.catch(() => {});
+      return (await readEntries()).find((stored) => stored.id === id) || null;
+    },
+    updateScore(id, update) {
+      writeQueue = writeQueue.catch(() => {}).then(async () => {
+        const entries = await readEntries();
+        const entry = entries.find((stored) => stored.id === id);
+        if (!entry) return null;
+
+        Object.assign(entry, update);
+        await fs.writeFile(filePath, JSON.stringify(entries, null, 2));
+        return entry;
+      });
+      return writeQueue;
+    },
+    async getTopScores(query) {
+      await writeQueue.catch(() => {}); // Read after pending writes, even failed ones
+      return selectTopScores(await readEntries(), query);
+    },
+  };
+}
+
+const STORES = {
+  json: () => createJsonFileStore(process.env.SCORES_FILE || path.join(process.cwd(), '.data', 'scores.json')),
+  memory: createMemoryStore,
+};
+
+let store = null;
+
+/**
+ * Returns the configured score store (created once per server process).
+ * @returns {Object} - Score store.
+ */
+export function getScoreStore() {
+  if (!store) {
+    const createStore = STORES[process.env.SCORES_STORE] || STORES.json;
+    store = createStore();
+  }
+  return store;
+}
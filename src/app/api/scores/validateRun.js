@@ -0,0 +1,62 @@
+// ./src/app/api/scores/validateRun.js
+
+import { getCharacter } from '../../components/Characters';
+import { DIFFICULTY_TIERS, DEFAULT_DIFFICULTY, isDifficultyId } from '../../components/Difficulty';
+import { WORLD_UNITS_PER_SPEED } from '../../components/GameLoop';
+import { POINTS_PER_UNIT, COIN_VALUE, MAX_MULTIPLIER } from '../../components/Scoring';
+import { FORMATION_COIN_SPACING, MAX_TRAIL_COINS } from '../../components/Patterns';
+import { SCORE_BOOST } from '../../components/PowerUps';
+
+export const MAX_NAME_LENGTH = 20;
+export const MAX_SEED_LENGTH = 64;
+const MAX_DURATION = 24 * 60 * 60; // Seconds
+const SPEED_TOLERANCE = 1.05; // Allow for rounding in the reported distance
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Checks a submitted run for shape and basic plausibility against the game rules.
+ * @param {Object} body - Parsed POST body.
+ * @returns {{ run: (Object|null), errors: string[] }} - The normalized run, or the reasons it was rejected.
+ */
+export function validateRun(body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object') {
+    return { run: null, errors: ['Body must be a JSON object'] };
+  }
+
+  const { character, seed, score, coins, distance, duration } = body;
+  const difficulty = body.difficulty ?? DEFAULT_DIFFICULTY;
+  const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : 'Anonymous';
+
+  if (typeof character !== 'string' || !getCharacter(character)) errors.push('Unknown character');
+  if (!isDifficultyId(difficulty)) errors.push('Unknown difficulty');
+  if (typeof seed !== 'string' || !seed || seed.length > MAX_SEED_LENGTH) errors.push('Invalid seed');
+  if (!isNonNegativeInteger(score)) errors.push('Score must be a non-negative integer');
+  if (!isNonNegativeInteger(coins)) errors.push('Coins must be a non-negative integer');
+  if (!isNonNegativeNumber(distance)) errors.push('Distance must be a non-negative number');
+  if (!isNonNegativeNumber(duration) || duration === 0 || duration > MAX_DURATION) errors.push('Invalid duration');
+  if (name.length > MAX_NAME_LENGTH) errors.push(`Name must be at most ${MAX_NAME_LENGTH} characters`);
+
+  if (errors.length > 0) return { run: null, errors };
+
+  // Plausibility: nobody runs faster than the tier's top speed for the whole run
+  const maxDistance = duration * DIFFICULTY_TIERS[difficulty].maxSpeed * WORLD_UNITS_PER_SPEED * SPEED_TOLERANCE;
+  if (distance > maxDistance) errors.push('Distance is too far for the run duration');
+
+  // Coins are never closer than the formation spacing along the course
+  if (coins > Math.ceil(distance / FORMATION_COIN_SPACING) + MAX_TRAIL_COINS) errors.push('Too many coins for the distance');
+
+  // Score can't exceed boosted distance points plus every coin at the maximum multiplier and boost
+  const maxScore = Math.floor((distance * POINTS_PER_UNIT + coins * COIN_VALUE * MAX_MULTIPLIER) * SCORE_BOOST);
+  if (score > maxScore) errors.push('Score is higher than the run allows');
+
+  if (errors.length > 0) return { run: null, errors };
+
+  return {
+    run: { name, character, difficulty, seed, score, coins, distance: Math.floor(distance), duration },
+    errors,
+  };
+}
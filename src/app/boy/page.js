@@ -1,10 +1,8 @@
-'use client';
-import GameCanvas from '../components/GameCanvas';
+import { redirect } from 'next/navigation';
 
-export default function Page() {
-  return (
-    <div>
-      <GameCanvas key={Date.now()} />
-    </div>
-  );
+// Old link for the boy character, kept so bookmarks and shared seeds still work
+export default async function Page({ searchParams }) {
+  const query = new URLSearchParams(await searchParams).toString();
+
+  redirect(`/play/boy${query ? `?${query}` : ''}`);
 }
@@ -0,0 +1,128 @@
+// ./src/app/components/Assets.js
+//
+// Asset manifest and cache. Every model a run needs is listed here and loaded once
+// through one shared LoadingManager; game modules then clone instances from the cache
+// instead of fetching the file again.
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { clone as cloneSkinned } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { getCharacter, DEFAULT_CHARACTER } from './Characters';
+
+// Models shared by every run, by role; the player model comes from the character registry
+export const ASSET_MANIFEST = {
+  road: '/items/street_road.glb',
+  building: '/items/old_building.glb',
+  cloud: '/items/cloud.glb',
+  barrier: '/items/barrier.glb',
+  coin: '/items/coin.glb',
+};
+
+// Loaded GLTF results by path, and paths whose last load failed
+const cache = new Map();
+const failed = new Set();
+
+/**
+ * Lists every model a run with a character needs.
+ * @param {string} [characterId] - Id from Characters.js.
+ * @returns {string[]} - Model paths, player first.
+ */
+export function getRunAssets(characterId = DEFAULT_CHARACTER) {
+  const character = getCharacter(characterId) || getCharacter(DEFAULT_CHARACTER);
+  return [character.modelPath, ...Object.values(ASSET_MANIFEST)];
+}
+
+/**
+ * Loads models into the cache, skipping ones already there; models that failed before
+ * are tried again. Progress is the share of bytes received, with each file weighted
+ * equally until its size is known.
+ * @param {string[]} paths - Model paths.
+ * @param {Function} [onProgress] - Called with overall progress from 0 to 1.
+ * @returns {Promise<void>} - Resolves once every model has loaded or failed.
+ */
+export function loadAssets(paths, onProgress = () => {}) {
+  const pending = [...new Set(paths)].filter((path) => !cache.has(path));
+  if (pending.length === 0) {
+    onProgress(1);
+    return Promise.resolve();
+  }
+
+  const manager = new THREE.LoadingManager(); // Shared, so textures inside the models count as part of the load
+  const loader = new GLTFLoader(manager);
+  const fileProgress = new Map(pending.map((path) => [path, 0]));
+
+  const report = () => {
+    const total = [...fileProgress.values()].reduce((sum, value) => sum + value, 0);
+    onProgress(total / fileProgress.size);
+  };
+  report();
+
+  return new Promise((resolve) => {
+    manager.onLoad = () => {
+      onProgress(1);
+      resolve();
+    };
+
+    pending.forEach((path) => {
+      loader.load(
+        path,
+        (gltf) => {
+          cache.set(path, gltf);
+          failed.delete(path);
+          fileProgress.set(path, 1);
+          report();
+        },
+        (event) => {
+          if (!event.lengthComputable) return;
+          fileProgress.set(path, Math.min(event.loaded / event.total, 0.99)); // Parsing still to come
+          report();
+        },
+        (error) => {
+          console.error(`Error loading ${path}:`, error);
+          failed.add(path);
+          fileProgress.set(path, 1);
+          report();
+        }
+      );
+    });
+  });
+}
+
+/**
+ * Returns a loaded model.
+ * @param {string} path - Model path.
+ * @returns {Object|null} - The GLTF result (`scene`, `animations`), or null if not loaded.
+ */
+export function getAsset(path) {
+  return cache.get(path) || null;
+}
+
+/**
+ * Lists models whose last load failed (missing file, network error or bad data).
+ * @returns {string[]} - Model paths.
+ */
+export function getFailedAssets() {
+  return [...failed];
+}
+
+/**
+ * Creates an instance of a loaded model. Instances share geometry, materials and
+ * textures with the cached original; skinned models get their own skeleton.
+ * @param {string} path - Model path.
+ * @returns {THREE.Object3D|null} - A new copy of the model's scene, or null if not loaded.
+ */
+export function cloneAsset(path) {
+  const gltf = getAsset(path);
+  return gltf ? cloneSkinned(gltf.scene) : null;
+}
+
+/**
+ * Frees every cached model. Instances still in a scene stop rendering correctly, so
+ * call this after the scene is torn down.
+ * @param {Function} disposeObject - Helper that disposes geometries and materials.
+ */
+export function disposeAssets(disposeObject) {
+  cache.forEach((gltf) => disposeObject(gltf.scene));
+  cache.clear();
+  failed.clear();
+}
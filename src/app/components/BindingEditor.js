@@ -0,0 +1,135 @@
+'use client'; // Enables client-side rendering for Next.js
+import React, { useEffect, useState } from 'react';
+import {
+  ACTIONS,
+  BINDING_SLOTS,
+  DEFAULT_KEY_BINDINGS,
+  DEFAULT_GAMEPAD_BINDINGS,
+  formatKey,
+  formatGamepadButton,
+  getPressedGamepadButtons,
+  setBinding,
+} from './Input';
+
+// The two rebindable devices and where their bindings live in the settings
+const DEVICES = {
+  keyboard: { id: 'keyboard', label: 'Keyboard', setting: 'keyBindings', format: formatKey },
+  gamepad: { id: 'gamepad', label: 'Gamepad', setting: 'gamepadBindings', format: formatGamepadButton },
+};
+
+/**
+ * Rebinding table for the settings screen. Click a slot, then press the new key or
+ * gamepad button; Escape cancels.
+ * @param {Object} props
+ * @param {Object} props.settings - Current settings from Settings.js.
+ * @param {Function} props.onChange - Called with the settings to change.
+ */
+export default function BindingEditor({ settings, onChange }) {
+  const [deviceId, setDeviceId] = useState(DEVICES.keyboard.id);
+  const [listening, setListening] = useState(null); // `{ action, slot }` waiting for an input
+  const device = DEVICES[deviceId];
+  const bindings = settings[device.setting];
+
+  useEffect(() => {
+    if (!listening) return undefined;
+
+    const bind = (input) => {
+      onChange({ [device.setting]: setBinding(bindings, listening.action, listening.slot, input) });
+      setListening(null);
+    };
+
+    if (device.id === DEVICES.keyboard.id) {
+      // Capture phase, so the game's own key handler never sees the key being bound
+      const handleKey = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        if (event.code === 'Escape') setListening(null);
+        else bind(event.code);
+      };
+
+      window.addEventListener('keydown', handleKey, true);
+      return () => window.removeEventListener('keydown', handleKey, true);
+    }
+
+    // Gamepad: wait for a button that wasn't already held when listening started
+    let held = new Set(getPressedGamepadButtons());
+    let frame = requestAnimationFrame(function poll() {
+      const pressed = getPressedGamepadButtons();
+      const button = pressed.find((index) => !held.has(index));
+      if (button !== undefined) {
+        bind(button);
+        return;
+      }
+
+      held = new Set(pressed.filter((index) => held.has(index)));
+      frame = requestAnimationFrame(poll);
+    });
+
+    const cancelOnEscape = (event) => {
+      if (event.code !== 'Escape') return;
+      event.stopPropagation();
+      setListening(null);
+    };
+    window.addEventListener('keydown', cancelOnEscape, true);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('keydown', cancelOnEscape, true);
+    };
+  }, [listening, device, bindings, onChange]);
+
+  const resetBindings = () => {
+    setListening(null);
+    onChange({ keyBindings: DEFAULT_KEY_BINDINGS, gamepadBindings: DEFAULT_GAMEPAD_BINDINGS });
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="grid grid-cols-2 gap-2">
+        {Object.values(DEVICES).map((option) => (
+          <button
+            key={option.id}
+            onClick={() => {
+              setDeviceId(option.id);
+              setListening(null);
+            }}
+            className={`px-3 py-1 rounded-lg text-sm font-bold ${
+              deviceId === option.id ? 'bg-green-600' : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <table className="w-full text-sm">
+        <tbody>
+          {ACTIONS.map((action) => (
+            <tr key={action.id}>
+              <td className="py-1">{action.label}</td>
+              {Array.from({ length: BINDING_SLOTS }, (_, slot) => {
+                const input = bindings[action.id]?.[slot];
+                const isListening = listening?.action === action.id && listening.slot === slot;
+
+                return (
+                  <td key={slot} className="py-1 pl-1">
+                    <button
+                      onClick={() => setListening(isListening ? null : { action: action.id, slot })}
+                      className={`w-full px-2 py-1 rounded ${isListening ? 'bg-yellow-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    >
+                      {isListening ? 'Press...' : input !== undefined ? device.format(input) : '-'}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <button onClick={resetBindings} className="text-xs text-gray-300 underline hover:text-white">
+        Reset to defaults
+      </button>
+    </div>
+  );
+}
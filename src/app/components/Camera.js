@@ -0,0 +1,27 @@
+// ./src/app/components/Camera.js
+
+// Camera placements selectable in the settings. `followX` is how much of the player's
+// sideways movement the camera copies (0 stays centred on the road).
+export const CAMERA_MODES = {
+  classic: { id: 'classic', label: 'Classic', followX: 0, height: 5, distance: 8, mobileDistance: 15, lookHeight: 4 },
+  follow: { id: 'follow', label: 'Follow', followX: 1, height: 5, distance: 8, mobileDistance: 15, lookHeight: 4 },
+  wide: { id: 'wide', label: 'Wide', followX: 0.5, height: 9, distance: 14, mobileDistance: 20, lookHeight: 2 },
+};
+
+export const DEFAULT_CAMERA_MODE = 'classic';
+const MOBILE_BREAKPOINT = 768; // Narrow screens sit the camera further back
+
+/**
+ * Places the camera for a camera mode, behind the player.
+ * @param {THREE.PerspectiveCamera} camera - The game camera.
+ * @param {string} modeId - Camera mode id.
+ * @param {number} [playerX] - The player's X position.
+ */
+export function updateCamera(camera, modeId, playerX = 0) {
+  const mode = CAMERA_MODES[modeId] || CAMERA_MODES[DEFAULT_CAMERA_MODE];
+  const x = playerX * mode.followX;
+  const distance = window.innerWidth <= MOBILE_BREAKPOINT ? mode.mobileDistance : mode.distance;
+
+  camera.position.set(x, mode.height, distance);
+  camera.lookAt(x, mode.lookHeight, 0);
+}
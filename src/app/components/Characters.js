@@ -0,0 +1,59 @@
+// ./src/app/components/Characters.js
+
+/**
+ * Playable characters. `animations` maps the game's animation names (run, jump,
+ * roll) to the clip names inside each model, matched case-insensitively; a clip
+ * used for several actions simply replays. `preview` configures the card on GameHome.
+ */
+export const CHARACTERS = {
+  boy: {
+    id: 'boy',
+    name: 'Boy',
+    modelPath: '/items/cartoonboyanimated.glb',
+    scale: 2,
+    rotationY: Math.PI,
+    animations: {
+      run: 'run',
+      jump: 'jump',
+      roll: 'roll',
+    },
+    preview: {
+      modelPath: '/items/cartoonboyanimated.glb',
+      scale: [2.1, 2.1, 2.1],
+      idleAnimationName: 'Idle',
+      jumpAnimationName: 'Jump',
+      hoverClassName: 'hover:text-green-400',
+    },
+  },
+  girl: {
+    id: 'girl',
+    name: 'Girl',
+    modelPath: '/items/girl.glb',
+    scale: 0.9,
+    rotationY: Math.PI,
+    animations: {
+      run: 'mixamo.com',
+      jump: 'mixamo.com',
+      roll: 'mixamo.com',
+    },
+    preview: {
+      modelPath: '/items/girlidle.glb',
+      scale: [0.47, 0.47, 0.47],
+      idleAnimationName: 'Armature|mixamo.com|Layer0',
+      jumpAnimationName: 'jump',
+      hoverClassName: 'hover:text-pink-400',
+    },
+  },
+};
+
+export const DEFAULT_CHARACTER = 'boy';
+
+/**
+ * Looks up a character by id.
+ * @param {string} id - Character id, e.g. `boy` or `girl`.
+ * @returns {Object|null} - The character, or null if there is no such character.
+ */
+export function getCharacter(id) {
+  // Own keys only: ids come from the URL, and `toString` would find a function otherwise
+  return Object.hasOwn(CHARACTERS, id) ? CHARACTERS[id] : null;
+}
@@ -1,116 +1,226 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { ASSET_MANIFEST, cloneAsset } from './Assets';
 
-// Global coin array
+// Coins are drawn as instances of one mesh per model part, so hundreds of coins cost a
+// handful of draw calls. The spin runs in the vertex shader instead of one AnimationMixer
+// per coin, and coin slots are pooled so collecting and spawning coins allocates nothing.
+
+// Coin slots currently in use, for render interpolation (the rules live in Simulation.js)
 export const coins = [];
-let coinSound;
 
-if (typeof window !== 'undefined') {
-  // Initialize coinSound on the client side
-  coinSound = new Audio('/coin.mp3'); // Ensure the sound file is in the public folder
+const COIN_SCALE = 0.05; // Adjust coin size as needed
+const COIN_SPIN_SPEED = (Math.PI * 2) / 0.83; // Radians per second, one turn like the model's own animation
+const SPIN_PHASE_STEP = 2.4; // Radians between consecutive coin ids, so neighbouring coins don't spin in sync
+const INITIAL_CAPACITY = 256; // Instances allocated up front; doubled whenever a run needs more
+
+// One instanced mesh per part of the coin model, sharing the spin attribute and uniform
+let parts = [];
+let capacity = 0;
+let spinPhases = null;
+const spinUniform = { value: 0 };
+
+// Pooled slots: every slot has a position and userData, so interpolation treats it like a mesh
+const slotsById = new Map();
+const freeSlots = [];
+let syncStamp = 0;
+
+const instanceMatrix = new THREE.Matrix4();
+
+// Rotates each coin about its vertical axis by the shared spin angle plus its own phase
+function addSpinToShader(shader) {
+  shader.uniforms.coinSpin = spinUniform;
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+      uniform float coinSpin;
+      attribute float coinSpinPhase;
+      mat3 getCoinSpin() {
+        float angle = coinSpin + coinSpinPhase;
+        float c = cos(angle);
+        float s = sin(angle);
+        return mat3(c, 0.0, -s, 0.0, 1.0, 0.0, s, 0.0, c);
+      }`
+    )
+    .replace('#include <beginnormal_vertex>', '#include <beginnormal_vertex>\nobjectNormal = getCoinSpin() * objectNormal;')
+    .replace('#include <begin_vertex>', '#include <begin_vertex>\ntransformed = getCoinSpin() * transformed;');
+}
+
+function createSpinMaterial(source) {
+  const material = source.clone();
+  material.onBeforeCompile = addSpinToShader;
+  material.customProgramCacheKey = () => 'coin-spin';
+  return material;
+}
+
+// Bakes the coin model's meshes into geometry centred on the coin, at coin size, and
+// measures the coin's hitbox from its bounds
+function getModelParts() {
+  const model = cloneAsset(ASSET_MANIFEST.coin);
+  if (!model) return null;
+
+  model.scale.set(COIN_SCALE, COIN_SCALE, COIN_SCALE);
+  model.updateMatrixWorld(true);
+
+  const meshes = [];
+  model.traverse((node) => {
+    if (node.isMesh) meshes.push(node);
+  });
+
+  const bounds = new THREE.Box3().setFromObject(model);
+  const center = bounds.getCenter(new THREE.Vector3());
+
+  const size = bounds.getSize(new THREE.Vector3());
+
+  return {
+    parts: meshes.map((mesh) => {
+      const geometry = mesh.geometry.clone();
+      geometry.applyMatrix4(mesh.matrixWorld);
+      geometry.translate(-center.x, -center.y, -center.z);
+      return { geometry, material: mesh.material };
+    }),
+    hitbox: { halfSize: Math.max(size.x, size.y, size.z) / 2 }, // Spinning turns its width along the track
+  };
+}
+
+// Plain gold disc facing down the track, for when the coin model is missing
+function getPlaceholderParts() {
+  const geometry = new THREE.CylinderGeometry(0.5, 0.5, 0.1, 24);
+  geometry.rotateX(Math.PI / 2);
+  const material = new THREE.MeshStandardMaterial({ color: 0xffd700, metalness: 0.7, roughness: 0.3 });
+  return { parts: [{ geometry, material }], hitbox: null };
+}
+
+// (Re)creates the instanced meshes with room for `size` coins; they're filled in before each render
+function allocateInstances(scene, size) {
+  spinPhases = new THREE.InstancedBufferAttribute(new Float32Array(size), 1);
+
+  parts = parts.map((part) => {
+    const mesh = new THREE.InstancedMesh(part.geometry, part.material, size);
+    mesh.count = 0;
+    mesh.frustumCulled = false; // Instances span the whole track; the bounds of the base mesh don't
+    mesh.receiveShadow = true;
+
+    if (part.mesh) {
+      scene.remove(part.mesh);
+      part.mesh.dispose();
+      part.geometry.dispose(); // Drops the GPU copy of the old, smaller phase buffer
+    }
+    part.geometry.setAttribute('coinSpinPhase', spinPhases);
+    scene.add(mesh);
+
+    return { ...part, mesh };
+  });
+
+  capacity = size;
 }
 
 /**
- * Initializes coins in the scene using the `coin.glb` model.
+ * Prepares the instanced coin meshes. The coin model must already be loaded (see
+ * Assets.js); without it coins are drawn as plain gold discs.
  * @param {THREE.Scene} scene - The Three.js scene object.
- * @param {number} maxCoins - Maximum number of coins.
+ * @returns {Object|null} - Coin hitbox measured from the model, for `createSimulation`; null without the model.
  */
-export function initCoins(scene, maxCoins = 5) {
-  const loader = new GLTFLoader();
-
-  for (let i = 0; i < maxCoins; i++) {
-    loader.load(
-      '/items//coin.glb', // Path to your GLTF/GLB coin file
-      (gltf) => {
-        const coin = gltf.scene;
-        coin.scale.set(0.05, 0.05, 0.05); // Adjust coin size as needed
-        coin.position.set(
-          (Math.floor(Math.random() * 3) - 1) * 4, // Random lane (-1, 0, 1)
-          1.2,                                    // Coin height
-          -i * 15 - Math.random() * 10           // Spread coins along the Z-axis
-        );
-        coin.castShadow = true;
-        coin.receiveShadow = true;
-
-        // Add animation mixer for spinning coins if the model has animations
-        if (gltf.animations && gltf.animations.length > 0) {
-          const mixer = new THREE.AnimationMixer(coin);
-          const action = mixer.clipAction(gltf.animations[0]);
-          action.play();
-
-          coin.userData.mixer = mixer; // Store mixer for updates
-        }
-
-        scene.add(coin);
-        coins.push(coin);
-      },
-      undefined,
-      (error) => {
-        console.error('Error loading coin model:', error);
-      }
-    );
-  }
+export function initCoins(scene) {
+  const source = getModelParts() || getPlaceholderParts();
+  parts = source.parts.map(({ geometry, material }) => ({ geometry, material: createSpinMaterial(material) }));
+  allocateInstances(scene, INITIAL_CAPACITY);
+
+  return source.hitbox;
+}
+
+// Takes a slot from the pool for a new coin
+function acquireSlot(id, simCoin) {
+  const slot = freeSlots.pop() || { position: new THREE.Vector3(), userData: {} };
+  slot.userData.entityId = id;
+  slot.userData.stamp = syncStamp;
+  slot.position.set(simCoin.x, simCoin.y, simCoin.z);
+
+  // A reused slot still remembers where its previous coin was; don't interpolate from there
+  if (slot.userData.prevPosition) slot.userData.prevPosition.copy(slot.position);
+
+  slotsById.set(id, slot);
+  coins.push(slot);
+  return slot;
 }
 
 /**
- * Updates coins' positions, animations, and handles collection logic.
+ * Makes the coin slots match the simulated coins and advances the spin.
  * @param {THREE.Scene} scene - The Three.js scene object.
- * @param {THREE.Object3D} player - The player object.
- * @param {Object} gameState - The current game state.
- * @param {Function} updateUI - Function to update the game UI.
+ * @param {Object[]} simCoins - `state.coins` from the simulation.
  * @param {number} delta - Time delta for smooth animations.
  */
-export function updateCoins(scene, player, gameState, updateUI, delta) {
-  if (!player) {
-    // If player is not yet initialized, skip the update
-    return;
+export function syncCoins(scene, simCoins, delta) {
+  if (parts.length === 0) return;
+
+  spinUniform.value = (spinUniform.value + delta * COIN_SPIN_SPEED) % (Math.PI * 2);
+  syncStamp++;
+
+  simCoins.forEach((simCoin) => {
+    const slot = slotsById.get(simCoin.id);
+    if (slot) slot.userData.stamp = syncStamp;
+  });
+
+  // Return slots whose coin was collected or despawned (swap-remove keeps this allocation-free)
+  for (let i = coins.length - 1; i >= 0; i--) {
+    const slot = coins[i];
+    if (slot.userData.stamp === syncStamp) continue;
+
+    slotsById.delete(slot.userData.entityId);
+    coins[i] = coins[coins.length - 1];
+    coins.pop();
+    freeSlots.push(slot);
   }
 
-  coins.forEach((coin) => {
-    // Update coin animation if it has a mixer
-    if (coin.userData.mixer) {
-      coin.userData.mixer.update(delta);
-    }
+  simCoins.forEach((simCoin) => {
+    const slot = slotsById.get(simCoin.id) || acquireSlot(simCoin.id, simCoin);
+    slot.position.set(simCoin.x, simCoin.y, simCoin.z);
+  });
 
-    // Move coins forward
-    coin.position.z += gameState.speed * 2;
-
-    // Recycle coins that move out of view
-    if (coin.position.z > 10) {
-      coin.position.set(
-        (Math.floor(Math.random() * 3) - 1) * 4, // Random lane
-        1.2,                                    // Reset height
-        -50 - Math.random() * 50               // Recycle position far ahead
-      );
-      coin.visible = true; // Ensure coin is visible
-    }
+  if (coins.length > capacity) {
+    let size = capacity * 2;
+    while (size < coins.length) size *= 2;
+    allocateInstances(scene, size);
+  }
+}
 
-    // Collision detection
-    const playerBox = new THREE.Box3().setFromObject(player);
-    const coinBox = new THREE.Box3().setFromObject(coin);
-
-    if (playerBox.intersectsBox(coinBox)) {
-      // Play coin sound if available
-      if (coinSound) {
-        coinSound.currentTime = 0; // Reset sound playback
-        coinSound.play().catch((error) => {
-          console.warn('Error playing coin sound:', error);
-        });
-      }
-
-      // Increment game state
-      gameState.coinCount++;
-     
-
-      // Update UI
-      updateUI();
-
-      // Recycle coin to a new position ahead of the player
-      coin.position.set(
-        (Math.floor(Math.random() * 3) - 1) * 4, // Random lane
-        1.2,                                    // Reset height
-        -50 - Math.random() * 50               // Recycle position far ahead
-      );
-    }
+/**
+ * Writes the coin slots into the instanced meshes. Call after interpolation, right
+ * before rendering, so the instances use the interpolated positions.
+ */
+export function updateCoinInstances() {
+  if (parts.length === 0) return; // Not initialised yet, or already disposed
+
+  coins.forEach((slot, index) => {
+    instanceMatrix.makeTranslation(slot.position.x, slot.position.y, slot.position.z);
+    spinPhases.array[index] = (slot.userData.entityId * SPIN_PHASE_STEP) % (Math.PI * 2);
+    parts.forEach(({ mesh }) => mesh.setMatrixAt(index, instanceMatrix));
+  });
+
+  spinPhases.needsUpdate = true;
+  parts.forEach(({ mesh }) => {
+    mesh.count = coins.length;
+    mesh.instanceMatrix.needsUpdate = true;
+  });
+}
+
+/**
+ * Removes the coin meshes and frees their geometry and materials. The model itself is
+ * freed with the asset cache.
+ * @param {THREE.Scene} scene - The Three.js scene object.
+ */
+export function disposeCoins(scene) {
+  parts.forEach(({ mesh, geometry, material }) => {
+    scene.remove(mesh);
+    mesh.dispose();
+    geometry.dispose();
+    material.dispose();
   });
+  parts = [];
+  capacity = 0;
+  spinPhases = null;
+
+  coins.length = 0;
+  slotsById.clear();
+  freeSlots.length = 0;
 }
@@ -0,0 +1,84 @@
+// ./src/app/components/Debug.js
+//
+// Developer tooling: a logger that stays quiet unless the debug overlay is on, and
+// wireframe boxes showing the simulation's hitboxes (what actually collides, not the
+// model bounds).
+
+import * as THREE from 'three';
+import { getPlayerBox, getBarrierBox, getCoinBox, getPowerUpBox } from './Simulation';
+
+let enabled = false;
+
+// Box helpers per entity kind, reused from step to step
+const helperPools = { player: [], barriers: [], coins: [], powerUps: [] };
+const HELPER_COLORS = { player: 0x00ff00, barriers: 0xff0000, coins: 0xffff00, powerUps: 0x00aaff };
+
+/**
+ * Turns debug logging and hitbox drawing on or off.
+ * @param {boolean} value - Whether debugging is enabled.
+ */
+export function setDebugEnabled(value) {
+  enabled = value;
+}
+
+/**
+ * @returns {boolean} - Whether debugging is enabled.
+ */
+export function isDebugEnabled() {
+  return enabled;
+}
+
+/**
+ * `console.log` that only prints while debugging is enabled.
+ */
+export function debugLog(...args) {
+  if (enabled) console.log(...args);
+}
+
+// Makes a pool hold exactly `boxes.length` visible helpers showing the given boxes
+function syncPool(scene, kind, boxes) {
+  const pool = helperPools[kind];
+
+  while (pool.length < boxes.length) {
+    const helper = new THREE.Box3Helper(new THREE.Box3(), HELPER_COLORS[kind]);
+    scene.add(helper);
+    pool.push(helper);
+  }
+
+  pool.forEach((helper, i) => {
+    helper.visible = i < boxes.length;
+    if (helper.visible) {
+      helper.box.min.copy(boxes[i].min);
+      helper.box.max.copy(boxes[i].max);
+    }
+  });
+}
+
+/**
+ * Draws the hitboxes of the player, barriers, coins and power-ups while debugging is enabled.
+ * @param {THREE.Scene} scene - The Three.js scene object.
+ * @param {Object} simulation - Simulation state.
+ */
+export function syncDebugHelpers(scene, simulation) {
+  const visible = enabled && simulation;
+
+  const hitboxes = simulation?.hitboxes;
+  syncPool(scene, 'player', visible ? [getPlayerBox(simulation.player, hitboxes)] : []);
+  syncPool(scene, 'barriers', visible ? simulation.barriers.map((barrier) => getBarrierBox(barrier, hitboxes)) : []);
+  syncPool(scene, 'coins', visible ? simulation.coins.map((coin) => getCoinBox(coin, hitboxes)) : []);
+  syncPool(scene, 'powerUps', visible ? simulation.powerUps.map((powerUp) => getPowerUpBox(powerUp, hitboxes)) : []);
+}
+
+/**
+ * Removes every hitbox helper and frees its GPU resources.
+ * @param {THREE.Scene} scene - The Three.js scene object.
+ */
+export function disposeDebugHelpers(scene) {
+  Object.values(helperPools).forEach((pool) => {
+    pool.forEach((helper) => {
+      scene.remove(helper);
+      helper.dispose();
+    });
+    pool.length = 0;
+  });
+}
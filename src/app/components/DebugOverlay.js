@@ -0,0 +1,104 @@
+'use client'; // Enables client-side rendering for Next.js
+import React, { useState } from 'react';
+import { OBSTACLE_TYPES } from './ObstacleTypes';
+import { MIN_LANE, MAX_LANE } from './Track';
+
+const LANES = Array.from({ length: MAX_LANE - MIN_LANE + 1 }, (_, i) => MIN_LANE + i);
+const SPEED_STEP = 0.05;
+const MAX_SPEED_OVERRIDE = 1.5;
+
+const format = (value, digits = 2) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+
+/**
+ * Developer overlay, toggled with the backtick key or `?debug=1`. Shows live simulation
+ * values and offers invincibility, a speed override and on-demand obstacles.
+ * @param {Object} props
+ * @param {Object|null} props.info - Readout from GameCanvas, refreshed a few times a second.
+ * @param {Object} props.options - Current `{ invincible, speedOverride }`.
+ * @param {Function} props.onOptionsChange - Called with the options to change.
+ * @param {Function} props.onSpawn - Called with an obstacle type id and lane.
+ * @param {Function} props.onClose - Hides the overlay.
+ */
+export default function DebugOverlay({ info, options, onOptionsChange, onSpawn, onClose }) {
+  const [spawnLane, setSpawnLane] = useState(0);
+
+  return (
+    <div
+      style={{ zIndex: 60 }}
+      className="fixed bottom-4 left-4 w-72 p-3 bg-black bg-opacity-80 text-green-300 font-mono text-xs rounded-lg pointer-events-auto space-y-2"
+    >
+      <div className="flex justify-between items-center text-white">
+        <span className="font-bold">Debug</span>
+        <button onClick={onClose} className="px-2 hover:text-red-400" aria-label="Close debug overlay">
+          ×
+        </button>
+      </div>
+
+      {info && (
+        <div className="space-y-0.5">
+          <p>tick {info.tick} · t {format(info.time, 1)}s</p>
+          <p>speed {format(info.speed)} ({format(info.worldSpeed, 1)} u/s)</p>
+          <p>lane {info.lane} · x {format(info.x)} · y {format(info.y)}</p>
+          <p>jump v {format(info.velocityY)} {info.isJumping ? '(jumping)' : ''}{info.isSliding ? '(sliding)' : ''}</p>
+          <p>anim {info.animation.current || '-'} · running [{info.animation.running.join(', ')}]</p>
+          <p>queue [{info.animation.history.join(' ← ')}]</p>
+          <p>inputs pending {info.pendingInputs} · buffered {info.bufferedAction || '-'}</p>
+          <p>
+            barriers {info.counts.barriers} · coins {info.counts.coins} · power-ups {info.counts.powerUps}
+          </p>
+          <p>scene objects {info.counts.sceneObjects}</p>
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 text-white">
+        <input
+          type="checkbox"
+          checked={options.invincible}
+          onChange={(event) => onOptionsChange({ invincible: event.target.checked })}
+        />
+        Invincible
+      </label>
+
+      <label className="block text-white">
+        Speed {options.speedOverride ? format(options.speedOverride) : 'auto'}
+        <input
+          type="range"
+          min={0}
+          max={MAX_SPEED_OVERRIDE}
+          step={SPEED_STEP}
+          value={options.speedOverride || 0}
+          onChange={(event) => onOptionsChange({ speedOverride: Number(event.target.value) || null })}
+          className="w-full"
+        />
+      </label>
+
+      <div className="text-white">
+        <div className="flex gap-1 mb-1">
+          Lane
+          {LANES.map((lane) => (
+            <button
+              key={lane}
+              onClick={() => setSpawnLane(lane)}
+              className={`px-2 rounded ${spawnLane === lane ? 'bg-green-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+              {lane}
+            </button>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 gap-1">
+          {Object.values(OBSTACLE_TYPES).map((type) => (
+            <button
+              key={type.id}
+              onClick={() => onSpawn(type.id, spawnLane)}
+              className="px-2 py-1 bg-gray-700 rounded hover:bg-gray-600"
+            >
+              Spawn {type.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-gray-400">Debug runs are not saved. Press ` to toggle.</p>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+// ./src/app/components/Difficulty.js
+
+/**
+ * Named difficulty tiers. Each tier ramps linearly from its start values to its
+ * end values over `rampDistance` world units, then holds. `obstacleWeights` sets
+ * how often each obstacle type from ObstacleTypes.js is spawned. `lives` is how many
+ * hits a run takes before Game Over; every hit but the last is only a stumble.
+ */
+export const DIFFICULTY_TIERS = {
+  easy: {
+    id: 'easy',
+    label: 'Easy',
+    startSpeed: 0.25,
+    maxSpeed: 0.4,
+    rampDistance: 8000,
+    startSpacing: 50,
+    endSpacing: 35,
+    startBarriers: 8,
+    endBarriers: 10,
+    obstacleWeights: { hurdle: 6, overhead: 3, blocker: 2, vehicle: 0 },
+    lives: 3,
+  },
+  normal: {
+    id: 'normal',
+    label: 'Normal',
+    startSpeed: 0.3,
+    maxSpeed: 0.5,
+    rampDistance: 6000,
+    startSpacing: 45,
+    endSpacing: 25,
+    startBarriers: 10,
+    endBarriers: 14,
+    obstacleWeights: { hurdle: 5, overhead: 3, blocker: 2, vehicle: 1 },
+    lives: 2,
+  },
+  hard: {
+    id: 'hard',
+    label: 'Hard',
+    startSpeed: 0.35,
+    maxSpeed: 0.65,
+    rampDistance: 4000,
+    startSpacing: 40,
+    endSpacing: 20,
+    startBarriers: 12,
+    endBarriers: 18,
+    obstacleWeights: { hurdle: 4, overhead: 3, blocker: 3, vehicle: 2 },
+    lives: 1,
+  },
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * Checks that a value names a difficulty tier. Only own keys count, so `__proto__` or
+ * `constructor` from a request don't.
+ * @param {*} id - Value to check.
+ * @returns {boolean} - True for `easy`, `normal` or `hard`.
+ */
+export function isDifficultyId(id) {
+  return typeof id === 'string' && Object.hasOwn(DIFFICULTY_TIERS, id);
+}
+
+/**
+ * Looks up a difficulty tier, falling back to the default for unknown ids.
+ * @param {string} id - Tier id (`easy`, `normal` or `hard`).
+ * @returns {Object} - The difficulty tier.
+ */
+export function getDifficulty(id) {
+  // Own keys only: ids come from the URL, and `constructor` would find Object otherwise
+  return Object.hasOwn(DIFFICULTY_TIERS, id) ? DIFFICULTY_TIERS[id] : DIFFICULTY_TIERS[DEFAULT_DIFFICULTY];
+}
+
+/**
+ * Returns the speed a tier has ramped up to at a given distance.
+ * @param {string} id - Tier id.
+ * @param {number} distance - World units travelled.
+ * @returns {number} - Speed in `gameState.speed` units.
+ */
+export function getSpeedAt(id, distance) {
+  const tier = getDifficulty(id);
+  const progress = Math.min(distance / tier.rampDistance, 1);
+  return tier.startSpeed + (tier.maxSpeed - tier.startSpeed) * progress;
+}
+
+/**
+ * Returns the difficulty fields of a fresh run, to be spread into the game state.
+ * @param {string} id - Tier id.
+ * @returns {Object} - Starting speed, spacing, barrier count and lives for the tier.
+ */
+export function createDifficultyState(id) {
+  const tier = getDifficulty(id);
+
+  return {
+    difficulty: tier.id,
+    speed: tier.startSpeed,
+    maxSpeed: tier.maxSpeed,
+    barrierSpacing: tier.startSpacing,
+    maxBarriers: tier.startBarriers,
+    lives: tier.lives,
+  };
+}
+
+/**
+ * Ramps speed, barrier spacing and barrier count based on distance travelled.
+ * @param {Object} gameState - The current game state (mutated in place).
+ */
+export function updateDifficulty(gameState) {
+  const tier = getDifficulty(gameState.difficulty);
+  const progress = Math.min(gameState.distance / tier.rampDistance, 1);
+  const lerp = (from, to) => from + (to - from) * progress;
+
+  gameState.speed = Math.min(getSpeedAt(tier.id, gameState.distance), gameState.maxSpeed);
+  gameState.barrierSpacing = lerp(tier.startSpacing, tier.endSpacing);
+  gameState.maxBarriers = Math.round(lerp(tier.startBarriers, tier.endBarriers));
+}
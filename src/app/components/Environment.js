@@ -1,96 +1,133 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { FIXED_TIMESTEP, getWorldSpeed } from './GameLoop';
+import { createRandom } from './Random';
+import { ASSET_MANIFEST, cloneAsset } from './Assets';
+import { createPlaceholderRoad } from './Placeholders';
+import {
+  ROAD_SEGMENT_LENGTH,
+  ROAD_SEGMENT_COUNT,
+  ROAD_X,
+  ROAD_SCALE,
+  SIDEWALK_X,
+  SIDEWALK_WIDTH,
+  BUILDING_X,
+  SCENERY_RECYCLE_Z,
+} from './Track';
 
 // Arrays to store road segments and buildings for recycling
 let roadSegments = [];
 let leftBuildings = [];
 let rightBuildings = [];
+let clouds = [];
 
-export function initEnvironment(scene) {
-    const loader = new GLTFLoader();
+// Seeded generator for scenery placement, kept separate from the gameplay stream
+let random = createRandom(0);
+
+const BUILDING_COUNT = 10; // Buildings loaded per side
+const CLOUD_COUNT = 10;
+
+// How many of the loaded buildings (per side) and clouds are drawn, set by the graphics quality
+let detail = { buildingCount: BUILDING_COUNT, cloudCount: CLOUD_COUNT };
+
+// Whether the object in `slot` of `total` is drawn when only `count` are, spread evenly along the road
+function isShown(slot, count, total) {
+  return Math.floor(((slot + 1) * count) / total) > Math.floor((slot * count) / total);
+}
+
+function applyDetail() {
+  [...leftBuildings, ...rightBuildings].forEach((building) => {
+    building.visible = isShown(building.userData.slot, detail.buildingCount, BUILDING_COUNT);
+  });
+  clouds.forEach((cloud) => {
+    cloud.visible = isShown(cloud.userData.slot, detail.cloudCount, CLOUD_COUNT);
+  });
+}
+
+/**
+ * Sets how many buildings and clouds are drawn; the rest stay loaded but hidden.
+ * @param {{ buildingCount: number, cloudCount: number }} options - Counts per side of the road and in the sky.
+ */
+export function setEnvironmentDetail({ buildingCount, cloudCount }) {
+  detail = { buildingCount, cloudCount };
+  applyDetail();
+}
+
+/**
+ * Builds the road, buildings and clouds from the loaded models (see Assets.js).
+ * Lighting is set up by GameCanvas.
+ * @param {THREE.Scene} scene - The Three.js scene object.
+ * @param {string|number} [seed] - Run seed, so the scenery is the same for everyone on a seeded course.
+ */
+export function initEnvironment(scene, seed = 0) {
+    random = createRandom(`${seed}:environment`);
+    roadSegments = [];
+    leftBuildings = [];
+    rightBuildings = [];
+    clouds = [];
   
     // Create the road
-    createRoad(scene, loader);
-  
-    // Add ambient light
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
-    scene.add(ambientLight);
-  
-    // Add directional light
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1.2);
-    directionalLight.position.set(10, 20, 10);
-    directionalLight.castShadow = false;
-    directionalLight.shadow.mapSize.width = 1024;
-    directionalLight.shadow.mapSize.height = 1024;
-    scene.add(directionalLight);
+    createRoad(scene);
   
     // Add buildings
-    createBuildings(scene, loader);
-    createClouds(scene, loader);
+    createBuildings(scene);
+    createClouds(scene);
   }
   
-  function createClouds(scene, loader) {
-    const cloudCount = 10; // Number of clouds
+  function createClouds(scene) {
+    const cloudCount = CLOUD_COUNT; // Number of clouds
     const cloudSpacing = 200; // Distance between clouds along the Z-axis
     const cloudHeight = 30; // Height of the clouds
     const cloudDepth = -200; // Clouds appear behind buildings
   
     for (let i = 0; i < cloudCount; i++) {
-      loader.load(
-        '/items/cloud.glb', // Path to your cloud model
-        (gltf) => {
-          const cloud = gltf.scene;
-          cloud.scale.set(5, 5, 5); // Scale the cloud
-          cloud.position.set(
-            (Math.random() - 0.5) * 150, // Random X position within range (wider than buildings)
-            cloudHeight + Math.random() * 10, // Random Y position for variation
-            cloudDepth - i * cloudSpacing // Position along Z-axis
-          );
-          cloud.traverse((node) => {
-            if (node.isMesh) {
-              node.castShadow = false; // Clouds generally do not cast shadows
-              node.receiveShadow = false;
-            }
-          });
-          cloud.name = `cloud-${i}`; // Assign a unique name for easy identification
-          scene.add(cloud);
-        },
-        undefined,
-        (error) => console.error('Error loading cloud model:', error)
+      const cloud = cloneAsset(ASSET_MANIFEST.cloud);
+      if (!cloud) return;
+
+      cloud.scale.set(5, 5, 5); // Scale the cloud
+      cloud.position.set(
+        (random.next() - 0.5) * 150, // Random X position within range (wider than buildings)
+        cloudHeight + random.next() * 10, // Random Y position for variation
+        cloudDepth - i * cloudSpacing // Position along Z-axis
       );
+      cloud.traverse((node) => {
+        if (node.isMesh) {
+          node.castShadow = false; // Clouds generally do not cast shadows
+          node.receiveShadow = false;
+        }
+      });
+      cloud.name = `cloud-${i}`; // Assign a unique name for easy identification
+      cloud.userData.slot = i;
+      cloud.visible = isShown(i, detail.cloudCount, CLOUD_COUNT);
+      scene.add(cloud);
+      clouds.push(cloud);
     }
   }
   
   
 
-  function createRoad(scene, loader) {
-    const roadSpacing = 800; // Length of one road segment
-    const roadCount = 3; // Number of road segments to preload
-    const planeWidth = 50; // Width of the gray areas
+  function createRoad(scene) {
+    const roadSpacing = ROAD_SEGMENT_LENGTH; // Length of one road segment
+    const planeWidth = SIDEWALK_WIDTH; // Width of the gray areas
     const planeLength = roadSpacing; // Match the road length
   
-    for (let i = 0; i < roadCount; i++) {
-      // Load road model
-      loader.load(
-        '/items/street_road.glb', // Adjust path as necessary
-        (gltf) => {
-          const road = gltf.scene;
-          road.scale.set(2, 2, 2); // Adjust scale to fit your environment
-          road.position.set(-8.8, 0, -i * roadSpacing); // Position roads in sequence
-          road.traverse((node) => {
-            if (node.isMesh) {
-              node.castShadow = false;
-              node.receiveShadow = true;
-            }
-          });
-          scene.add(road);
-          roadSegments.push(road); // Add to road segments for recycling
-        },
-        undefined,
-        (error) => {
-          console.error('Error loading road model:', error);
-        }
-      );
+    for (let i = 0; i < ROAD_SEGMENT_COUNT; i++) {
+      // Road model, or a flat placeholder road if the model is missing
+      let road = cloneAsset(ASSET_MANIFEST.road);
+      if (road) {
+        road.scale.setScalar(ROAD_SCALE);
+        road.position.set(ROAD_X, 0, -i * roadSpacing); // Position roads in sequence
+        road.traverse((node) => {
+          if (node.isMesh) {
+            node.castShadow = false;
+            node.receiveShadow = true;
+          }
+        });
+      } else {
+        road = createPlaceholderRoad(roadSpacing);
+        road.position.set(0, 0, -i * roadSpacing);
+      }
+      scene.add(road);
+      roadSegments.push(road); // Add to road segments for recycling
   
       // Add dark gray left plane
       const leftPlane = new THREE.Mesh(
@@ -98,7 +135,7 @@ export function initEnvironment(scene) {
         new THREE.MeshStandardMaterial({ color: 0xAFAFB3 }) // Dark gray color
       );
       leftPlane.rotation.x = -Math.PI / 2; // Make it horizontal
-      leftPlane.position.set(-45, 0.01, -i * roadSpacing); // Adjust position
+      leftPlane.position.set(-SIDEWALK_X, 0.01, -i * roadSpacing); // Adjust position
       scene.add(leftPlane);
   
       // Add dark gray right plane
@@ -107,7 +144,7 @@ export function initEnvironment(scene) {
         new THREE.MeshStandardMaterial({ color: 0xAFAFB3 }) // Dark gray color
       );
       rightPlane.rotation.x = -Math.PI / 2; // Make it horizontal
-      rightPlane.position.set(45, 0.01, -i * roadSpacing); // Adjust position
+      rightPlane.position.set(SIDEWALK_X, 0.01, -i * roadSpacing); // Adjust position
       scene.add(rightPlane);
     }
   }
@@ -115,54 +152,61 @@ export function initEnvironment(scene) {
   
   
 
-  function createBuildings(scene, loader) {
+  function createBuildings(scene) {
     const buildingSpacing = 80; // Distance between buildings
     const startZ = -100; // Adjust the starting Z position
-    const buildingCount = 10; // Number of buildings on each side
+    const buildingCount = BUILDING_COUNT; // Number of buildings on each side
   
     for (let i = 0; i < buildingCount; i++) {
-      loader.load(
-        '/items/old_building.glb',
-        (gltf) => {
-          // Create left building
-          const buildingLeft = gltf.scene.clone();
-          buildingLeft.scale.set(4, 4, 4);
-          buildingLeft.position.set(-20, 0, startZ - i * buildingSpacing);
-          buildingLeft.traverse((node) => {
-            if (node.isMesh) {
-              node.castShadow = true;
-            }
-          });
-          scene.add(buildingLeft);
-          leftBuildings.push(buildingLeft);
-  
-          // Create right building
-          const buildingRight = gltf.scene.clone();
-          buildingRight.scale.set(4, 4, 4);
-          buildingRight.position.set(57, 0, startZ - i * buildingSpacing);
-          buildingRight.traverse((node) => {
-            if (node.isMesh) {
-              node.castShadow = true;
-            }
-          });
-          scene.add(buildingRight);
-          rightBuildings.push(buildingRight);
-        },
-        undefined,
-        (error) => console.error('Error loading building model:', error)
-      );
+      // Create left building
+      const buildingLeft = cloneAsset(ASSET_MANIFEST.building);
+      if (!buildingLeft) return;
+
+      buildingLeft.scale.set(4, 4, 4);
+      buildingLeft.position.set(BUILDING_X.left, 0, startZ - i * buildingSpacing);
+      buildingLeft.traverse((node) => {
+        if (node.isMesh) {
+          node.castShadow = true;
+        }
+      });
+      buildingLeft.userData.slot = i;
+      buildingLeft.visible = isShown(i, detail.buildingCount, BUILDING_COUNT);
+      scene.add(buildingLeft);
+      leftBuildings.push(buildingLeft);
+
+      // Create right building
+      const buildingRight = cloneAsset(ASSET_MANIFEST.building);
+      buildingRight.scale.set(4, 4, 4);
+      buildingRight.position.set(BUILDING_X.right, 0, startZ - i * buildingSpacing);
+      buildingRight.traverse((node) => {
+        if (node.isMesh) {
+          node.castShadow = true;
+        }
+      });
+      buildingRight.userData.slot = i;
+      buildingRight.visible = isShown(i, detail.buildingCount, BUILDING_COUNT);
+      scene.add(buildingRight);
+      rightBuildings.push(buildingRight);
     }
   }
 
-  export function updateEnvironment(scene, gameState) {
-    const speed = gameState.speed * 2;
+  /**
+   * Returns every environment object moved by `updateEnvironment`, for render interpolation.
+   * @returns {THREE.Object3D[]} - Road segments, buildings and clouds.
+   */
+  export function getEnvironmentObjects() {
+    return [...roadSegments, ...leftBuildings, ...rightBuildings, ...clouds];
+  }
+
+  export function updateEnvironment(scene, gameState, delta = FIXED_TIMESTEP) {
+    const speed = getWorldSpeed(gameState) * delta; // Distance covered this step
   
     // Update road segments
     roadSegments.forEach((road) => {
       road.position.z += speed;
   
-      if (road.position.z > 50) {
-        road.position.z -= 800 * roadSegments.length; // Recycle road segment
+      if (road.position.z > SCENERY_RECYCLE_Z) {
+        road.position.z -= ROAD_SEGMENT_LENGTH * roadSegments.length; // Recycle road segment
       }
     });
   
@@ -171,7 +215,7 @@ export function initEnvironment(scene) {
       buildingArray.forEach((building) => {
         building.position.z += speed;
   
-        if (building.position.z > 50) {
+        if (building.position.z > SCENERY_RECYCLE_Z) {
           building.position.z -= 800; // Recycle building
         }
       });
@@ -181,14 +225,12 @@ export function initEnvironment(scene) {
     updateBuildings(rightBuildings);
   
     // Update clouds
-    scene.children.forEach((object) => {
-      if (object.name && object.name.startsWith('cloud')) { // Identify cloud objects
-        object.position.z += speed / 4; // Clouds move slower than roads
+    clouds.forEach((cloud) => {
+      cloud.position.z += speed / 4; // Clouds move slower than roads
   
-        if (object.position.z > 50) {
-          object.position.z -= 800; // Recycle clouds to the back
-          object.position.x = (Math.random() - 0.5) * 150; // Randomize X position again
-        }
+      if (cloud.position.z > SCENERY_RECYCLE_Z) {
+        cloud.position.z -= 800; // Recycle clouds to the back
+        cloud.position.x = (random.next() - 0.5) * 150; // Randomize X position again
       }
     });
   }
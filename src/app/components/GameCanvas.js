@@ -5,20 +5,71 @@
 import * as THREE from 'three';
 import { useRouter } from 'next/navigation'; // Correct import for App Router
 import { useEffect, useRef, useState } from 'react';
-import { initPlayer } from './Player'; // Note: initPlayer is now async
-import { initEnvironment, updateEnvironment } from './Environment';
+import { initPlayer, getAnimationState } from './Player';
+import { initEnvironment, updateEnvironment, getEnvironmentObjects } from './Environment';
 import { useGesture } from '@use-gesture/react';
 
-import { 
-  initObstacles, 
-  updateObstacles, 
-  barriers, 
-  MIN_BARRIER_SPACING, 
-  barrierState, 
-  LANE_OFFSETS 
-} from './Obstacles'; // Import obstacles
-import { initCoins, updateCoins, coins } from './Coins'; // Import coins
+import { initObstacles, syncObstacles, disposeObstacles, barriers } from './Obstacles'; // Import obstacles
+import { initCoins, syncCoins, updateCoinInstances, disposeCoins, coins } from './Coins'; // Import coins
+import {
+  syncPowerUpItems,
+  initPlayerEffects,
+  syncPlayerEffects,
+  disposePowerUpItems,
+  powerUpItems,
+} from './PowerUpItems';
+import {
+  createSimulation,
+  stepSimulation,
+  getSnapshot,
+  setDebugOptions,
+  spawnObstacle,
+  reviveRun,
+} from './Simulation';
+import { DEFAULT_CHARACTER } from './Characters';
+import { recordRun, getPlayerName } from './SaveData';
+import { submitScore, updateScore } from './ScoresApi';
+import {
+  createFixedStepLoop,
+  snapshotPositions,
+  applyInterpolation,
+  restorePositions,
+  getWorldSpeed,
+} from './GameLoop';
+import { setDebugEnabled, debugLog, syncDebugHelpers, disposeDebugHelpers } from './Debug';
+import { createPerformanceMonitor } from './Performance';
+import {
+  QUALITY_PRESETS,
+  AUTO_QUALITY,
+  AUTO_QUALITY_INTERVAL,
+  AUTO_QUALITY_WARMUP,
+  resolveQuality,
+  getAutoDowngrade,
+  applyQualityPreset,
+} from './Graphics';
+import { DEFAULT_SETTINGS, CONTROL_SCHEMES, loadSettings, saveSettings } from './Settings';
+import { getActionForKey, createGamepadPoller, createActionQueue } from './Input';
+import { updateCamera } from './Camera';
+import { getDifficulty } from './Difficulty';
+import {
+  initSound,
+  unlockSound,
+  setSoundPaused,
+  setSoundVolumes,
+  playSound,
+  playCoinSound,
+  startMusic,
+  duckMusic,
+  setMusicTempo,
+  disposeSound,
+} from './Sound';
+import { getRunAssets, loadAssets, getFailedAssets, disposeAssets } from './Assets';
 import UI from './UI';
+import Preloader from './Preloader';
+import LoadError from './LoadError';
+import DebugOverlay from './DebugOverlay';
+import PerfHud from './PerfHud';
+import SettingsPanel from './SettingsPanel';
 
 // Helper function to dispose of meshes
 function disposeObject(obj) {
@@ -37,49 +88,63 @@ function disposeObject(obj) {
   });
 }
 
-export default function GameCanvas() {
+export default function GameCanvas({ character, difficulty, seed, debug = false, perf = false }) {
   const canvasRef = useRef();
   const playerRef = useRef(null); // Reference to player object
   const playerUpdateRef = useRef(null); // Reference to player update function
   const playAnimationRef = useRef(null); // Reference to playAnimation function
-  const gameStateRef = useRef(null);
-  const gameActiveRef = useRef(true); // UseRef to track gameActive state
-  const isRollingRef = useRef(false); // Define isRollingRef
-  const audioRef = useRef(null);
+  const simulationRef = useRef(null); // Headless game rules state (see Simulation.js)
+  const hitboxesRef = useRef(undefined); // Hitboxes measured from the loaded models, used by every run
+  const runRecordRef = useRef(null); // `{ id, submission }` once the current run has been recorded and submitted
+  const inputQueueRef = useRef(createActionQueue()); // Actions from every input source, taken by the next simulation step
+  const pausedRef = useRef(false); // Read by the game loop; `paused` state drives the overlay
+  const debugOpenRef = useRef(debug); // Read by the game loop; `debugOpen` state shows the overlay
+  const debugOptionsRef = useRef({ invincible: false, speedOverride: null });
+  const perfMonitorRef = useRef(null); // Frame times and renderer counters for the performance HUD
+  const graphicsRef = useRef(null); // Renderer, camera, scene and lights, for quality changes
+  const activeQualityRef = useRef(null); // Preset in use (what Auto resolved to)
   const router = useRouter(); // Use Next.js router from 'next/navigation'
 
-  // Define the default game state
-  const defaultGameState = {
-    speed: 0.3,
-    maxSpeed: 0.5,
-    gravity: -20, // Adjusted gravity for higher jump
-    score: 0,
-    coinCount: 0,
-    multiplier: 1,
-    currentLane: 0, // Add lane state for player movement
-    laneDistance: 4,
-    active: true,
-    maxCoins: 5,
-    isSliding: false, // Initialize isSliding
+  // Create a fresh simulation for a new run; a fixed seed replays the same course every time
+  const createRun = () => {
+    const simulation = createSimulation({ seed: seed ?? Date.now(), difficulty, hitboxes: hitboxesRef.current });
+
+    // Keep debug tools switched on across restarts
+    const options = debugOptionsRef.current;
+    if (options.invincible || options.speedOverride) setDebugOptions(simulation, options);
+
+    return simulation;
   };
 
-  // Initialize gameState with defaultGameState
-  const [gameState, setGameState] = useState(defaultGameState);
+  // React copy of the simulation state, used only to drive the UI
+  const [gameState, setGameState] = useState(() => getSnapshot(createRun()));
 
-  // Loading state for the preloader
+  // Loading state and progress (0-100) for the preloader
   const [loading, setLoading] = useState(true);
+  const [loadProgress, setLoadProgress] = useState(0);
+
+  // Player model failure: the error screen's choice (`retry` or `placeholder`) resolves the waiting load
+  const [loadError, setLoadError] = useState(null);
+  const loadChoiceRef = useRef(null);
 
-  // Refs for jump mechanics
-  const isJumpingRef = useRef(false);
-  const jumpVelocityRef = useRef(0);
+  // Pause state for the pause overlay
+  const [paused, setPaused] = useState(false);
 
-  // Animation Queue Refs
-  const animationQueueRef = useRef([]);
-  const isAnimatingRef = useRef(false);
+  // Saved result of the last finished run (new bests), shown on the Game Over screen
+  const [runResult, setRunResult] = useState(null);
 
-  // Local references to obstacles and coins
-  const obstaclesRef = useRef([]);
-  const coinsRef = useRef([]);
+  // Player settings and the settings screen. Stored settings are read on mount, so the
+  // server render (which has no local storage) matches the first client render.
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const settingsRef = useRef(settings); // Read by the game loop
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const settingsOpenRef = useRef(false); // Read by the key handler
+  const [activeQuality, setActiveQuality] = useState(null);
+
+  // Debug overlay (backtick key or ?debug=1): visibility, live readout and tool settings
+  const [debugOpen, setDebugOpen] = useState(debug);
+  const [debugInfo, setDebugInfo] = useState(null);
+  const [debugOptions, setDebugOptionsState] = useState(debugOptionsRef.current);
 
   // Ref to store the scene instance
   const sceneRef = useRef(null);
@@ -93,172 +158,279 @@ export default function GameCanvas() {
     }
   };
 
-  // Update gameStateRef and manage audio playback based on gameState
-  useEffect(() => {
-    gameStateRef.current = gameState;
-    if (audioRef.current && gameState.active) {
-      audioRef.current.play().catch((err) => console.warn('Audio play prevented:', err));
-    }
-  }, [gameState]);
-
   // Handle exit game functionality
   const handleExitGame = () => {
-    // Clear game-related storage
-    localStorage.clear();
-    sessionStorage.clear();
-
-    // Reset game state to default
-    setGameState(defaultGameState);
-
     // Navigate to the main page
     router.push('/'); // Navigate to the main page
   };
 
-  // Handle game restart functionality
-  const restartGame = () => {
-    // Reset gameActiveRef to true
-    gameActiveRef.current = true;
+  // Pause or resume the run. While paused the game loop stops stepping, so physics,
+  // spawning and every animation mixer freeze; only the audio needs suspending here.
+  const setPausedState = (value) => {
+    if (value && !simulationRef.current?.active) return; // Nothing to pause after Game Over
+    if (pausedRef.current === value) return;
+
+    pausedRef.current = value;
+    setPaused(value);
+    inputQueueRef.current.clear(); // Drop inputs pressed just before pausing
+    setSoundPaused(value);
+  };
 
-    // Reset game state to default
-    setGameState(defaultGameState);
+  const pauseGame = () => setPausedState(true);
+  const resumeGame = () => setPausedState(false);
 
-    if (audioRef.current) {
-      audioRef.current.currentTime = 0;
-      audioRef.current.play().catch(err => console.warn('Audio play prevented:', err));
+  // Handle game restart functionality
+  const restartGame = () => {
+    // Restarting from the pause menu resumes play
+    pausedRef.current = false;
+    setPaused(false);
+
+    // Start a new simulated run; meshes are re-synced on the next step
+    simulationRef.current = createRun();
+    runRecordRef.current = null;
+    inputQueueRef.current.clear();
+    setGameState(getSnapshot(simulationRef.current));
+    setRunResult(null);
+
+    // Music back from the start, at full level and normal tempo
+    setSoundPaused(false);
+    duckMusic(false);
+    setMusicTempo(1);
+    startMusic();
+
+    // Reset the player to the running animation
+    const playAnimation = playAnimationRef.current;
+    if (playAnimation) {
+      playAnimation('run');
     }
+  };
+
+  // Continue the run from the Game Over screen, paying with coins collected in it
+  const reviveGame = () => {
+    const simulation = simulationRef.current;
+    if (!simulation || !reviveRun(simulation)) return;
 
-    // Clear the animation queue
-    animationQueueRef.current = [];
-    isAnimatingRef.current = false;
+    inputQueueRef.current.clear();
+    updateUI();
+    duckMusic(false);
 
-    // Reset player position and state
-    const player = playerRef.current;
     const playAnimation = playAnimationRef.current;
-    if (player) {
-      player.position.set(0, 0, 0);
-      player.userData.isJumping = false;
-      player.userData.isSliding = false;
-      player.userData.velocity = { y: 0 };
-      isJumpingRef.current = false;
-      isRollingRef.current = false; // Reset isRollingRef
-      jumpVelocityRef.current = 0;
-      if (playAnimation) {
-        playAnimation('run'); // Reset to running animation
-      }
+    if (playAnimation) {
+      playAnimation('run');
+    }
+  };
+
+  // Update UI based on game events
+  const updateUI = () => {
+    if (simulationRef.current) {
+      setGameState(getSnapshot(simulationRef.current));
     }
+  };
 
-    // Reset obstacles
-    barrierState.lastBarrierZ = -40; // Reset to initial position
+  // Queue a player action (left, right, jump, slide) for the next simulation step
+  const queueAction = (action) => {
+    if (pausedRef.current) return;
+    inputQueueRef.current.push(action, performance.now());
+  };
 
-    // Remove and dispose of all existing barriers
-    obstaclesRef.current.forEach((barrier) => {
-      if (sceneRef.current) {
-        sceneRef.current.remove(barrier);
-        disposeObject(barrier); // Dispose of geometries and materials
-      }
-    });
-    obstaclesRef.current = [];
+  // Handle an action from a key or gamepad binding; pause acts right away instead of queueing
+  const handleAction = (action) => {
+    if (action !== 'pause') {
+      queueAction(action);
+    } else if (settingsOpenRef.current) {
+      toggleSettings(false); // Back to the pause menu
+    } else {
+      setPausedState(!pausedRef.current); // Toggle pause
+    }
+  };
 
-    // Remove and dispose of all existing coins
-    coinsRef.current.forEach((coin) => {
-      if (sceneRef.current) {
-        sceneRef.current.remove(coin);
-        disposeObject(coin); // Dispose of geometries and materials
-      }
-    });
-    coinsRef.current = [];
+  // Switch the running game to a graphics preset
+  const applyQuality = (presetId) => {
+    if (!graphicsRef.current) return;
+
+    applyQualityPreset(graphicsRef.current, presetId);
+    activeQualityRef.current = presetId;
+    setActiveQuality(presetId);
+  };
 
-    // Clear global arrays
-    barriers.length = 0; // Clear global barriers array
-    coins.length = 0; // Clear global coins array
+  const toggleSettings = (value) => {
+    settingsOpenRef.current = value;
+    setSettingsOpen(value);
+  };
 
-    // Reinitialize obstacles and coins with the current scene
-    if (sceneRef.current) {
-      initObstacles(sceneRef.current);
-      obstaclesRef.current = barriers; // Assign global barriers to local ref
-      barrierState.lastBarrierZ = -40 - barriers.length * MIN_BARRIER_SPACING; // Reset barrierState based on barriers length
+  // Store changed settings and apply them to the running game
+  const changeSettings = (changes) => {
+    const next = saveSettings(changes);
+    settingsRef.current = next;
+    setSettings(next);
+    setSoundVolumes(next);
 
-      initCoins(sceneRef.current, 5);
-      coinsRef.current = coins; // Assign global coins to local ref
+    if ('graphicsQuality' in changes) {
+      applyQuality(resolveQuality(next.graphicsQuality));
     }
   };
 
-  // Update UI based on game events
-  const updateUI = () => {
-    setGameState((prevState) => ({
-      ...prevState,
-    }));
+  // Show or hide the debug overlay, hitbox helpers and debug logging
+  const toggleDebug = (value) => {
+    debugOpenRef.current = value;
+    setDebugOpen(value);
+    setDebugEnabled(value);
+  };
+
+  // Change invincibility or the speed override for this and later runs
+  const changeDebugOptions = (changes) => {
+    debugOptionsRef.current = { ...debugOptionsRef.current, ...changes };
+    setDebugOptionsState(debugOptionsRef.current);
+    if (simulationRef.current) setDebugOptions(simulationRef.current, changes);
   };
 
-  // Shared animation handler with queue
-  const playAndResetAnimation = (animationName, duration, onComplete) => {
-    // Push the animation request to the queue
-    animationQueueRef.current.push({ animationName, duration, onComplete });
-    processQueue();
+  const spawnDebugObstacle = (type, lane) => {
+    if (simulationRef.current) spawnObstacle(simulationRef.current, type, lane);
+  };
+
+  // Live values for the debug overlay
+  const getDebugInfo = () => {
+    const simulation = simulationRef.current;
+    const { player } = simulation;
+    let sceneObjects = 0;
+    if (sceneRef.current) sceneRef.current.traverse(() => sceneObjects++);
+
+    return {
+      tick: simulation.tick,
+      time: simulation.time,
+      speed: simulation.speed,
+      worldSpeed: getWorldSpeed(simulation),
+      lane: player.lane,
+      x: player.x,
+      y: player.y,
+      velocityY: player.velocityY,
+      isJumping: player.isJumping,
+      isSliding: player.isSliding,
+      animation: getAnimationState(),
+      pendingInputs: inputQueueRef.current.size(),
+      bufferedAction: player.bufferedAction ? player.bufferedAction.action : null,
+      counts: {
+        barriers: simulation.barriers.length,
+        coins: simulation.coins.length,
+        powerUps: simulation.powerUps.length,
+        sceneObjects,
+      },
+    };
   };
 
-  // Process the animation queue
-  const processQueue = () => {
-    if (isAnimatingRef.current || animationQueueRef.current.length === 0) {
-      return; // Either already animating or queue is empty
+  // Store the run in the local save and submit it to the team leaderboard at every Game Over.
+  // A run that goes on after a revive updates the entries it made the first time.
+  const saveRun = () => {
+    const simulation = simulationRef.current;
+    if (simulation.debug.used) {
+      debugLog('Debug-assisted run, not saved');
+      return;
     }
 
-    // Dequeue the next animation
-    const { animationName, duration, onComplete } = animationQueueRef.current.shift();
-    isAnimatingRef.current = true;
+    const record = runRecordRef.current || { id: `${Date.now()}-${simulation.seed}`, submission: null };
+    const run = {
+      character: character || DEFAULT_CHARACTER,
+      score: simulation.score,
+      distance: simulation.distance,
+      coins: simulation.coinCount,
+      difficulty: simulation.difficulty,
+      seed: simulation.seed,
+    };
+    setRunResult(recordRun(run.character, { ...run, id: record.id }));
+
+    // Wait for the earlier submission so the update has the server's id and edit token for
+    // this run; the submitted entry is kept, as only it carries the token
+    const payload = { ...run, name: getPlayerName(), duration: simulation.time };
+    record.submission = record.submission
+      ? record.submission.then((entry) => (entry ? updateScore(entry, payload).then(() => entry) : submitScore(payload)))
+      : submitScore(payload);
+    runRecordRef.current = record;
+  };
 
+  // Play animations and sounds for the events raised by a simulation step
+  const handleSimulationEvents = (events) => {
     const playAnimation = playAnimationRef.current;
-    if (playAnimation) playAnimation(animationName); // Trigger the animation
-
-    // Reset to "run" animation after the specified duration
-    setTimeout(() => {
-      if (onComplete) onComplete(); // Execute optional callback
-      if (playAnimation) playAnimation('run'); // Return to running animation
-      isAnimatingRef.current = false;
-      processQueue(); // Process the next animation in the queue
-    }, duration);
+
+    events.forEach((event) => {
+      switch (event.type) {
+        case 'jump':
+          if (playAnimation) playAnimation('jump');
+          playSound('jump');
+          break;
+
+        case 'slide':
+          if (playAnimation) playAnimation('roll');
+          playSound('slide');
+          break;
+
+        case 'land':
+        case 'slideEnd':
+          if (playAnimation) playAnimation('run'); // Revert to running animation
+          break;
+
+        case 'coin':
+          playCoinSound();
+          updateUI();
+          break;
+
+        case 'powerUp':
+          playSound('powerUp');
+          updateUI(); // Show the power-up countdown
+          break;
+
+        case 'powerUpEnd':
+          updateUI(); // Hide the power-up countdown
+          break;
+
+        case 'shieldBreak':
+          debugLog('Shield absorbed a collision');
+          playSound('shieldBreak');
+          break;
+
+        case 'stumble':
+          debugLog(`Stumbled, ${event.lives} lives left`);
+          playSound('crash', { volume: 0.5, rate: 1.3 });
+          updateUI(); // One heart fewer
+          break;
+
+        case 'collision':
+          debugLog('Collision detected!');
+          playSound('crash');
+          duckMusic(true); // Quieter music under the Game Over screen
+
+          saveRun(); // Saved now even if it can be revived; a revived run updates this entry
+          updateUI(); // Shows the Game Over screen
+          break;
+
+        default:
+          break;
+      }
+    });
   };
 
   const bind = useGesture(
     {
       onDrag: ({ movement: [mx, my], direction: [dx, dy], velocity, last }) => {
-        console.log("Gesture detected:", { mx, my, dx, dy, velocity });
-  
-        const threshold = 30; // Minimum movement in pixels to detect a swipe
+        debugLog('Gesture detected:', { mx, my, dx, dy, velocity });
+
+        const { controlScheme, swipeThreshold } = settingsRef.current;
+        if (controlScheme !== CONTROL_SCHEMES.swipe.id) return; // On-screen buttons instead
+
+        const threshold = swipeThreshold; // Minimum movement in pixels to detect a swipe
   
         // Only update state at the end of the swipe gesture
         if (last) {
           if (Math.abs(mx) > threshold && Math.abs(mx) > Math.abs(my)) {
             // Horizontal swipe
-            setGameState((prev) => {
-              if (dx > 0 && prev.currentLane < 1) {
-                console.log("Swipe Right");
-                return { ...prev, currentLane: prev.currentLane + 1 }; // Move right
-              } else if (dx < 0 && prev.currentLane > -1) {
-                console.log("Swipe Left");
-                return { ...prev, currentLane: prev.currentLane - 1 }; // Move left
-              }
-              return prev; // No change
-            });
+            queueAction(dx > 0 ? 'right' : 'left');
           } else if (Math.abs(my) > threshold && Math.abs(my) > Math.abs(mx)) {
             // Vertical swipe
             if (dy < 0) {
-              console.log("Swipe Up - Jump");
-              if (!isJumpingRef.current && !isRollingRef.current) {
-                isJumpingRef.current = true;
-                playAndResetAnimation("jump", 800); // Jump animation
-                jumpVelocityRef.current = 8; // Adjust for jump height
-              }
+              debugLog('Swipe Up - Jump');
+              queueAction('jump');
             } else if (dy > 0) {
-              console.log("Swipe Down - Slide");
-              if (!isRollingRef.current && !isJumpingRef.current) {
-                isRollingRef.current = true;
-                playAndResetAnimation("roll", 1190, () => {
-                  setGameState((prev) => ({ ...prev, isSliding: false }));
-                  isRollingRef.current = false;
-                });
-                setGameState((prev) => ({ ...prev, isSliding: true })); // Update gameState
-              }
+              debugLog('Swipe Down - Slide');
+              queueAction('slide');
             }
           }
         }
@@ -275,101 +447,40 @@ export default function GameCanvas() {
   
   
 
-  // Handle keyboard inputs for game controls
+  // Handle keyboard inputs for game controls. Registered once, so bindings are read
+  // from the settings ref rather than captured.
   const handleKeyDown = (event) => {
-    console.log(`Key pressed: ${event.key}`);
-    if (!gameState.active) return;
-
-    switch (event.key) {
-      case 'ArrowLeft':
-        setGameState((prev) => ({
-          ...prev,
-          currentLane: Math.max(prev.currentLane - 1, -1), // Move left, limit to leftmost lane
-        }));
-        break;
-
-      case 'ArrowRight':
-        setGameState((prev) => ({
-          ...prev,
-          currentLane: Math.min(prev.currentLane + 1, 1), // Move right, limit to rightmost lane
-        }));
-        break;
-
-      case 'ArrowUp': // Jump action
-        if (!isJumpingRef.current && !isRollingRef.current) {
-          console.log('Jump initiated');
-          isJumpingRef.current = true;
-
-          // Push jump animation to the queue without altering isJumpingRef
-          playAndResetAnimation('jump', 800);
-
-          jumpVelocityRef.current = 8; // Increased jump velocity for higher jump
-        }
-        break;
-
-      case 'ArrowDown': // Slide action
-        if (!isRollingRef.current && !isJumpingRef.current) {
-          console.log('Slide initiated');
-          isRollingRef.current = true;
-
-          // Push roll animation to the queue with onComplete callback
-          playAndResetAnimation('roll', 1190, () => {
-            setGameState((prev) => ({ ...prev, isSliding: false })); // Reset sliding state
-            isRollingRef.current = false;
-          });
-
-          setGameState((prev) => ({
-            ...prev,
-            isSliding: true,
-          }));
-        }
-        break;
+    debugLog(`Key pressed: ${event.code}`);
+    unlockSound(); // Browsers only allow audio after user input
 
-      default:
-        break;
+    if (event.key === '`') {
+      toggleDebug(!debugOpenRef.current);
+      return;
     }
-  };
 
-  // Update player position and handle jump physics
-  const updatePlayer = (delta) => {
-    const player = playerRef.current;
-    if (!player) return;
-
-    if (isJumpingRef.current) {
-      // Apply jump velocity to player's position
-      player.position.y += jumpVelocityRef.current * delta; // delta in seconds
-
-      // Update jump velocity with gravity
-      jumpVelocityRef.current += gameState.gravity * delta; // gravity in units/s²
-
-      // Check if player has landed
-      if (player.position.y <= 0) {
-        player.position.y = 0; // Reset to ground level
-        isJumpingRef.current = false;
-        jumpVelocityRef.current = 0;
-        const playAnimation = playAnimationRef.current;
-        if (playAnimation) playAnimation('run'); // Revert to running animation
-      }
-    }
+    const action = getActionForKey(event.code, settingsRef.current.keyBindings);
+    if (!action || event.repeat) return; // Holding a key doesn't repeat the move
+
+    event.preventDefault(); // Arrow keys would scroll the page
+    handleAction(action);
   };
 
-  const resizeCamera = () => {
-    if (camera) {
-      if (window.innerWidth <= 768) {
-        // Mobile settings
-        camera.position.set(0, 5, 15);
-      } else {
-        // Desktop settings
-        camera.position.set(0, 5, 8);
-      }
-      camera.lookAt(0, 4, 0); // Ensure camera is looking at the player
-    }
+  const handleVisibilityChange = () => {
+    if (document.hidden) pauseGame();
   };
 
   // Initialize the game scene, player, environment, obstacles, and coins
   useEffect(() => {
     let sceneInstance;
+    let unmounted = false; // Set by the cleanup, so a load that finishes late doesn't start a run
+    let animationFrame = null; // Pending game loop frame, cancelled on unmount
     const clock = new THREE.Clock();
+    setDebugEnabled(debugOpenRef.current);
+    perfMonitorRef.current = createPerformanceMonitor();
+
+    // Stored settings, needed before the renderer is created
+    settingsRef.current = loadSettings();
+    setSettings(settingsRef.current);
 
     const init = async () => {
       // Scene setup
@@ -381,19 +492,23 @@ export default function GameCanvas() {
 
       // Camera setup
       camera = new THREE.PerspectiveCamera(70, window.innerWidth / window.innerHeight, 0.1, 1000);
-      resizeCamera(); // Set initial camera position based on device size
+      updateCamera(camera, settingsRef.current.cameraMode); // Set initial camera position based on device size
 
-      // Renderer setup
-      renderer = new THREE.WebGLRenderer({ canvas: canvasRef.current, antialias: true });
+      // Renderer setup; antialiasing can only be chosen when the context is created
+      const initialQuality = resolveQuality(settingsRef.current.graphicsQuality);
+      renderer = new THREE.WebGLRenderer({
+        canvas: canvasRef.current,
+        antialias: QUALITY_PRESETS[initialQuality].antialias,
+      });
       renderer.setSize(window.innerWidth, window.innerHeight);
       renderer.shadowMap.enabled = true;
 
       // Add Ambient Light
-      const ambientLight = new THREE.AmbientLight(0xffffff, 0.7); // Soft white light
+      const ambientLight = new THREE.AmbientLight(0xffffff, 1.5); // Soft white light
       sceneInstance.add(ambientLight);
 
       // Add Directional Light
-      const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0); // Bright directional light
+      const directionalLight = new THREE.DirectionalLight(0xffffff, 2.2); // Bright directional light
       directionalLight.position.set(10, 20, 10); // Position the light above and to the side
       directionalLight.castShadow = true;
 
@@ -414,75 +529,168 @@ export default function GameCanvas() {
       pointLight.position.set(0, 10, 0); // Above the player
       sceneInstance.add(pointLight);
 
-      // Initialize player
-      try {
-        const { playerUpdate, player, playAnimation } = await initPlayer(sceneInstance);
-        playerRef.current = player; // Assign player to the ref
-        playerUpdateRef.current = playerUpdate;
-        playAnimationRef.current = playAnimation; // Assign playAnimation to the ref
-      } catch (error) {
-        console.error('Failed to initialize player:', error);
+      // Lights in the order quality presets enable them
+      graphicsRef.current = {
+        renderer,
+        camera,
+        scene: sceneInstance,
+        lights: [ambientLight, directionalLight, pointLight],
+      };
+      applyQuality(initialQuality);
+
+      // Load every model once (instances are cloned from the cache) and decode the sounds.
+      // Other missing models get placeholders, but a missing player model shows the error
+      // screen and waits for Retry (load again) or a stand-in character.
+      let usePlaceholder = false;
+      let playerSetup = null;
+      while (!playerSetup) {
+        setLoadError(null);
+        setLoading(true);
+        setLoadProgress(0);
+        await Promise.all([
+          loadAssets(getRunAssets(character), (progress) => setLoadProgress(Math.round(progress * 100))),
+          initSound(),
+        ]);
+        if (unmounted) return;
+
+        try {
+          playerSetup = initPlayer(sceneInstance, character, { placeholder: usePlaceholder });
+        } catch (error) {
+          console.error('Failed to initialize player:', error);
+          setLoading(false);
+          setLoadError({ message: error.message, failedAssets: getFailedAssets() });
+          const choice = await new Promise((resolve) => (loadChoiceRef.current = resolve));
+          if (unmounted) return;
+          usePlaceholder = choice === 'placeholder';
+        }
       }
 
-      // Initialize environment
-      initEnvironment(sceneInstance);
+      // Initialize player
+      const { playerUpdate, player, playAnimation, hitbox: playerHitbox } = playerSetup;
+      playerRef.current = player; // Assign player to the ref
+      playerUpdateRef.current = playerUpdate;
+      playAnimationRef.current = playAnimation; // Assign playAnimation to the ref
+      initPlayerEffects(player); // Shield, magnet and score boost visuals
 
-      // Clear existing barriers and coins
-      barriers.length = 0; // Clear global barriers array
-      coins.length = 0; // Clear global coins array
+      // Prepare the barrier and coin models; meshes are created as the simulation spawns entities.
+      // Their measured hitboxes go into every run, so the first run plays like a restart.
+      const obstacleHitboxes = initObstacles();
+      const coinHitbox = initCoins(sceneInstance);
+      hitboxesRef.current = { player: playerHitbox, coin: coinHitbox, obstacles: obstacleHitboxes };
 
-      // Initialize obstacles and coins
-      initObstacles(sceneInstance); // Pass the scene instance
-      obstaclesRef.current = barriers; // Assign global barriers to local ref
-      barrierState.lastBarrierZ = -40 - barriers.length * MIN_BARRIER_SPACING; // Reset barrierState based on barriers length
+      // Start the simulated run
+      simulationRef.current = createRun();
 
-      initCoins(sceneInstance, 5); // Initialize 5 coins
-      coinsRef.current = coins; // Assign global coins to local ref
+      // Initialize environment with the run's seed
+      initEnvironment(sceneInstance, simulationRef.current.seed);
 
       // Handle window resize
       window.addEventListener('resize', handleResize);
 
       // Add keyboard controls
       window.addEventListener('keydown', handleKeyDown);
+      window.addEventListener('pointerdown', unlockSound); // Taps and clicks unlock audio too
+
+      // Auto-pause when the tab is hidden or the window loses focus
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+      window.addEventListener('blur', pauseGame);
+
+      // Everything is ready: hide the preloader and start the music with the run
+      setLoading(false);
+      setSoundVolumes(settingsRef.current);
+      startMusic();
+
+      // Throttle score readout updates so React doesn't re-render every frame
+      const SCORE_UI_INTERVAL = 0.1; // Seconds between score UI updates
+      let scoreUiTimer = 0;
+
+      // Every object the simulation moves, for render interpolation (one list reused every frame)
+      const interpolatedObjects = [];
+      const getMovingObjects = () => {
+        interpolatedObjects.length = 0;
+        if (playerRef.current) interpolatedObjects.push(playerRef.current);
+        interpolatedObjects.push(...barriers, ...coins, ...powerUpItems, ...getEnvironmentObjects());
+        return interpolatedObjects;
+      };
 
-      // Set loading to false after 1500ms
-      setTimeout(() => {
-        setLoading(false);
-      }, 1200);
+      // Advance the simulation by one fixed step (delta is always FIXED_TIMESTEP)
+      const stepWorld = (delta) => {
+        const simulation = simulationRef.current;
+        if (!simulation.active) return;
 
-      // Game loop
-      const animate = () => {
-        const delta = clock.getDelta(); // Get the time delta for consistent movement
+        snapshotPositions(getMovingObjects());
 
-        if (gameActiveRef.current) {
-          updatePlayer(delta); // Handle jump physics
+        // Run the game rules with the actions queued since the last step
+        const actions = inputQueueRef.current.take(performance.now());
+        const events = stepSimulation(simulation, actions, delta);
 
-          // Update the player (movement, etc.)
-          if (playerUpdateRef.current) {
-            playerUpdateRef.current(delta, gameStateRef.current); // Pass the latest state
-          }
+        // Mirror the simulated entities into the scene
+        if (playerUpdateRef.current) {
+          playerUpdateRef.current(delta, simulation.player);
+        }
+        updateEnvironment(sceneInstance, simulation, delta);
+        syncObstacles(sceneInstance, simulation.barriers);
+        syncCoins(sceneInstance, simulation.coins, delta);
+        syncPowerUpItems(sceneInstance, simulation.powerUps, delta);
+        syncPlayerEffects(simulation.activePowerUps, simulation.time, delta);
+        syncDebugHelpers(sceneInstance, simulation);
+
+        handleSimulationEvents(events);
+        setMusicTempo(simulation.speed / getDifficulty(simulation.difficulty).startSpeed);
+
+        scoreUiTimer += delta;
+        if (scoreUiTimer >= SCORE_UI_INTERVAL) {
+          scoreUiTimer = 0;
+          updateUI();
+          if (debugOpenRef.current) setDebugInfo(getDebugInfo());
+        }
+      };
 
-          // Update the environment
-          updateEnvironment(sceneInstance, gameStateRef.current);
+      // Render between the last two simulated states so motion stays smooth at any refresh rate
+      const renderWorld = (alpha) => {
+        const movingObjects = getMovingObjects();
+        applyInterpolation(movingObjects, alpha);
+        updateCoinInstances();
+        updateCamera(camera, settingsRef.current.cameraMode, playerRef.current ? playerRef.current.position.x : 0);
+        renderer.render(sceneInstance, camera);
+        restorePositions(movingObjects);
+      };
 
-          // Update obstacles
-          if (playerRef.current) {
-            updateObstacles(sceneInstance, playerRef.current, gameStateRef.current, () => {
-              gameActiveRef.current = false;
-              setGameState((prev) => ({ ...prev, active: false })); // Set active to false
-            });
-          }
+      const gameLoop = createFixedStepLoop({ step: stepWorld, render: renderWorld });
 
-          // Update coins
-          updateCoins(sceneInstance, playerRef.current, gameStateRef.current, updateUI, delta);
+      // Auto quality steps down while frames are over budget; loading hitches are skipped
+      let autoQualityTimer = -AUTO_QUALITY_WARMUP;
+      const updateAutoQuality = (frameTime) => {
+        autoQualityTimer += frameTime;
+        if (settingsRef.current.graphicsQuality !== AUTO_QUALITY || autoQualityTimer < AUTO_QUALITY_INTERVAL) return;
+
+        autoQualityTimer = 0;
+        const downgrade = getAutoDowngrade(activeQualityRef.current, perfMonitorRef.current.getStats());
+        if (downgrade) {
+          debugLog(`Frames over budget, switching to ${downgrade} quality`);
+          applyQuality(downgrade);
         }
+      };
 
-        // Render the scene
-        renderer.render(sceneInstance, camera);
+      // The gamepad has no events and is read once per frame (skipped while a menu is open)
+      const gamepadPoller = createGamepadPoller();
 
-        requestAnimationFrame(animate); // Recursively call the game loop
+      // Game loop
+      const animate = () => {
+        if (unmounted) return; // The scene and meshes are already disposed
+
+        // Real frame time drives as many fixed steps as fit. The clock is read even while
+        // paused so the time spent paused (or in a background tab) is discarded.
+        const frameTime = clock.getDelta();
+        if (!settingsOpenRef.current) gamepadPoller.poll(settingsRef.current.gamepadBindings).forEach(handleAction);
+        gameLoop.advance(pausedRef.current ? 0 : frameTime);
+        perfMonitorRef.current.recordFrame(frameTime * 1000, renderer.info); // Counters of the frame just rendered
+        updateAutoQuality(frameTime);
+
+        animationFrame = requestAnimationFrame(animate); // Recursively call the game loop
       };
 
+      clock.start(); // Time the first step from now rather than from mount, so loading isn't simulated
       animate();
     };
 
@@ -490,51 +698,51 @@ export default function GameCanvas() {
 
     return () => {
       // Cleanup on unmount
+      unmounted = true;
+      if (animationFrame !== null) cancelAnimationFrame(animationFrame);
       if (renderer) renderer.dispose();
-      if (audioRef.current) audioRef.current.pause();
+      disposeSound();
       window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('pointerdown', unlockSound);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('blur', pauseGame);
       window.removeEventListener('resize', handleResize);
 
-      // Remove and dispose of all obstacles
-      obstaclesRef.current.forEach((barrier) => {
-        sceneInstance.remove(barrier);
-        disposeObject(barrier); // Use the helper function
-      });
-      obstaclesRef.current = [];
-
-      // Remove and dispose of all coins
-      coinsRef.current.forEach((coin) => {
-        sceneInstance.remove(coin);
-        disposeObject(coin); // Use the helper function
-      });
-      coinsRef.current = [];
+      // Remove all obstacles and coins, then dispose of the shared models
+      if (sceneInstance) {
+        disposeObstacles(sceneInstance);
+        disposeCoins(sceneInstance);
+        disposePowerUpItems(sceneInstance);
+        disposeDebugHelpers(sceneInstance);
+      }
+      disposeAssets(disposeObject);
+      setDebugEnabled(false);
     };
   }, []); // Empty dependency array ensures this runs once on mount
 
   // Function to handle user interaction to start audio
   const handleStart = () => {
     setLoading(false); // Hide preloader
-    if (audioRef.current) {
-      audioRef.current.play().catch((err) => console.warn('Audio play prevented:', err));
-    }
+    unlockSound();
   };
 
   return (
     <>
       {/* Preloader Overlay */}
-      {loading && (
-        <div style={styles.preloaderContainer}>
-          <div style={styles.preloaderContent}>
-            <h1>Loading...</h1>
-          </div>
-        </div>
+      {loading && <Preloader progress={loadProgress} />}
+
+      {/* Player model failed to load */}
+      {loadError && (
+        <LoadError
+          message={loadError.message}
+          failedAssets={loadError.failedAssets}
+          onRetry={() => loadChoiceRef.current('retry')}
+          onPlaceholder={() => loadChoiceRef.current('placeholder')}
+          onExit={handleExitGame}
+        />
       )}
   
       {/* Game Canvas */}
-      <audio ref={audioRef} loop>
-        <source src="/keeprunning.mp3" type="audio/mpeg" />
-        Your browser does not support the audio element.
-      </audio>
       <canvas
         ref={canvasRef}
         style={{
@@ -575,32 +783,49 @@ export default function GameCanvas() {
       )}
   
       {/* UI Controls */}
-      <UI gameState={gameState} onRestart={restartGame} onExit={handleExitGame} />
+      <UI
+        gameState={gameState}
+        runResult={runResult}
+        paused={paused}
+        onPause={pauseGame}
+        onResume={resumeGame}
+        onRestart={restartGame}
+        onRevive={reviveGame}
+        onExit={handleExitGame}
+        onSettings={() => toggleSettings(true)}
+        controlScheme={settings.controlScheme}
+        onAction={queueAction}
+      />
+
+      {/* Settings, opened from the pause menu */}
+      {settingsOpen && (
+        <SettingsPanel
+          settings={settings}
+          onChange={changeSettings}
+          onClose={() => toggleSettings(false)}
+          activeQuality={activeQuality}
+        />
+      )}
+
+      {/* Performance HUD, shown with the debug overlay or ?perf=1 */}
+      {(perf || debugOpen) && <PerfHud monitorRef={perfMonitorRef} />}
+
+      {/* Developer Overlay */}
+      {debugOpen && (
+        <DebugOverlay
+          info={debugInfo}
+          options={debugOptions}
+          onOptionsChange={changeDebugOptions}
+          onSpawn={spawnDebugObstacle}
+          onClose={() => toggleDebug(false)}
+        />
+      )}
     </>
   );
 }  
 
-// Inline styles for the preloader and start button
+// Inline styles for the start button
 const styles = {
-  preloaderContainer: {
-    position: 'fixed',
-    top: 0,
-    left: 0,
-    width: '100%',
-    height: '100%',
-    backgroundColor: '#000000cc', // Semi-transparent black background
-    display: 'flex',
-    justifyContent: 'center',
-    alignItems: 'center',
-    zIndex: 9999, // Ensure it's on top
-    flexDirection: 'column',
-  },
-  preloaderContent: {
-    color: '#ffffff',
-    fontSize: '2rem',
-    textAlign: 'center',
-    marginBottom: '20px',
-  },
   startButton: {
     padding: '10px 20px',
     fontSize: '1rem',
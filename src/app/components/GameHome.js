@@ -5,6 +5,37 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
 import Link from 'next/link';
+import { DIFFICULTY_TIERS, DEFAULT_DIFFICULTY } from './Difficulty';
+import { getDailySeed } from './Random';
+import { CHARACTERS } from './Characters';
+import { loadSave, getCharacterStats, getPlayerName, setPlayerName, getLastCharacter, setLastCharacter } from './SaveData';
+import { fetchTopScores } from './ScoresApi';
+import { loadSettings, saveSettings } from './Settings';
+import { createPlaceholderCharacter } from './Placeholders';
+import SettingsPanel from './SettingsPanel';
+import { Cog6ToothIcon } from '@heroicons/react/24/solid';
+
+// Shared preview settings for the character cards (module-level so Character doesn't re-init on every render)
+const PREVIEW_POSITION = [0, 0, 0];
+const PREVIEW_MATERIAL = {
+  roughness: 0.5,
+  metalness: 0.0,
+  emissive: new THREE.Color(0x000000),
+};
+const PREVIEW_LIGHTS = [
+  {
+    type: "DirectionalLight",
+    color: 0xffffff,
+    intensity: 1.2,
+    position: { x: 5, y: 10, z: 7.5 },
+  },
+  {
+    type: "SpotLight",
+    color: 0xffffff,
+    intensity: 0.8,
+    position: { x: -10, y: 15, z: -10 },
+  },
+];
 
 function Character({
   modelPath,
@@ -147,6 +178,13 @@ function Character({
         },
         (error) => {
           console.error('Error loading GLTF model:', error);
+
+          // Show a stand-in figure, turned to face the camera, rather than an empty card
+          const placeholder = createPlaceholderCharacter();
+          placeholder.position.set(...position);
+          placeholder.rotation.y = Math.PI;
+          scene.add(placeholder);
+
           setLoadingProgress(100); // Prevent loader from hanging
         }
       );
@@ -204,7 +242,132 @@ function Character({
   );
 }
 
+// Local high scores and recent runs for every character
+function Leaderboard() {
+  const [save, setSave] = useState(null);
+
+  // Local storage is only available in the browser
+  useEffect(() => {
+    setSave(loadSave());
+  }, []);
+
+  if (!save) return null;
+
+  return (
+    <div className="max-w-screen-lg mx-auto w-full px-4 grid grid-cols-1 md:grid-cols-2 gap-4 text-white">
+      {Object.values(CHARACTERS).map((character) => {
+        const stats = getCharacterStats(character.id, save);
+
+        return (
+          <div key={character.id} className="bg-black bg-opacity-40 border-2 border-white rounded-xl p-4">
+            <h2 className="text-2xl font-bold mb-2">{character.name}</h2>
+            <p>Best Score: {stats.bestScore}</p>
+            <p>Best Distance: {stats.bestDistance}m</p>
+            <p>Total Coins: {stats.totalCoins}</p>
+            <p className="mb-2">Runs: {stats.runCount}</p>
+            {stats.runs.length > 0 && (
+              <ul className="text-sm opacity-80 space-y-1">
+                {stats.runs.slice(0, 5).map((run) => (
+                  <li key={run.date}>
+                    {new Date(run.date).toLocaleDateString()} &middot; {run.score} pts &middot; {run.distance}m &middot;{' '}
+                    {run.coins} coins
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Team leaderboard from /api/scores: today's Daily Run course on the selected difficulty
+// (each tier plays the course differently) or every run today
+function TeamLeaderboard({ difficulty }) {
+  const [view, setView] = useState('daily');
+  const [scores, setScores] = useState(null);
+  const [name, setName] = useState('');
+
+  // Local storage is only available in the browser
+  useEffect(() => {
+    setName(getPlayerName());
+  }, []);
+
+  useEffect(() => {
+    const query = view === 'daily' ? { seed: getDailySeed(), difficulty } : { day: new Date().toISOString().slice(0, 10) };
+    let cancelled = false;
+
+    setScores(null);
+    fetchTopScores({ ...query, limit: 10 }).then((result) => {
+      if (!cancelled) setScores(result);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [view, difficulty]);
+
+  const handleNameChange = (event) => {
+    setName(event.target.value);
+    setPlayerName(event.target.value.trim());
+  };
+
+  return (
+    <div className="max-w-screen-lg mx-auto w-full px-4 mt-4 text-white">
+      <div className="bg-black bg-opacity-40 border-2 border-white rounded-xl p-4">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+          <h2 className="text-2xl font-bold">
+            Team Leaderboard{view === 'daily' && ` (${DIFFICULTY_TIERS[difficulty].label})`}
+          </h2>
+          <div className="flex gap-2">
+            {[
+              { id: 'daily', label: 'Daily Run' },
+              { id: 'today', label: 'Today' },
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => setView(tab.id)}
+                className={`px-3 py-1 rounded-full border-2 border-white font-bold ${
+                  view === tab.id ? 'bg-green-600' : 'bg-black bg-opacity-40 hover:bg-opacity-60'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <label className="block mb-3">
+          Your name:{' '}
+          <input
+            value={name}
+            onChange={handleNameChange}
+            maxLength={20}
+            placeholder="Anonymous"
+            className="ml-2 px-2 py-1 rounded text-black"
+          />
+        </label>
+        {scores === null && <p>Loading...</p>}
+        {scores !== null && scores.length === 0 && <p>No runs yet. Be the first!</p>}
+        {scores !== null && scores.length > 0 && (
+          <ol className="list-decimal list-inside space-y-1">
+            {scores.map((entry) => (
+              <li key={`${entry.createdAt}-${entry.name}`}>
+                <span className="font-bold">{entry.name}</span> &middot; {entry.score} pts &middot; {entry.distance}m
+                &middot; {entry.coins} coins &middot; {CHARACTERS[entry.character]?.name ?? entry.character}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
+
 export default function GameHome() {
+  const [difficulty, setDifficulty] = useState(DEFAULT_DIFFICULTY);
+  const [settings, setSettings] = useState(null); // Loaded when the settings screen opens
+
   return (
     <div className="bg-gradient-to-b from-blue-500 to-black min-h-screen flex flex-col gap-0">
       {/* Header */}
@@ -236,83 +399,80 @@ export default function GameHome() {
         </div>
       </div>
 
-      {/* Main Content */}
-      <div className="flex justify-around items-center max-w-screen-lg mx-auto w-full mt-[-40px]">
-        {/* First Character */}
-        <div
-          className="w-1/2 h-[700px] p-2 cursor-pointer hover:scale-105 transition-all duration-300"
+      {/* Difficulty Selector */}
+      <div className="relative z-10 flex justify-center gap-2 mt-[60px]">
+        {Object.values(DIFFICULTY_TIERS).map((tier) => (
+          <button
+            key={tier.id}
+            onClick={() => setDifficulty(tier.id)}
+            className={`px-4 py-2 rounded-full border-2 border-white text-white font-bold transition-all duration-300 ${
+              difficulty === tier.id ? 'bg-green-600' : 'bg-black bg-opacity-40 hover:bg-opacity-60'
+            }`}
+          >
+            {tier.label}
+          </button>
+        ))}
+        <button
           onClick={() => {
-            window.location.href = "/boy"; // Redirect to the boy page
+            // Everyone playing today gets the same course, with the character picked or played last
+            window.location.href = `/play/${getLastCharacter()}?seed=${getDailySeed()}&difficulty=${difficulty}`;
           }}
+          className="px-4 py-2 rounded-full border-2 border-white text-white font-bold bg-yellow-500 hover:bg-yellow-600 transition-all duration-300"
         >
-          <Character
-            modelPath="/items/cartoonboyanimated.glb"
-            position={[0, 0, 0]}
-            scale={[2.1, 2.1, 2.1]}
-            idleAnimationName="Idle"
-            jumpAnimationName="Jump"
-            customMaterial={{
-              roughness: 0.5,
-              metalness: 0.0,
-              emissive: new THREE.Color(0x000000),
-            }}
-            customLights={[
-              {
-                type: "DirectionalLight",
-                color: 0xffffff,
-                intensity: 1.2,
-                position: { x: 5, y: 10, z: 7.5 },
-              },
-              {
-                type: "SpotLight",
-                color: 0xffffff,
-                intensity: 0.8,
-                position: { x: -10, y: 15, z: -10 },
-              },
-            ]}
-          />
-          <p className="text-center mt-[-140px] text-2xl text-white hover:text-green-400">
-            Boy
-          </p>
-        </div>
-
-        {/* Second Character */}
-        <div
-          className="w-1/2 h-[700px] p-2 cursor-pointer hover:scale-105 transition-all duration-300"
-          onClick={() => {
-            window.location.href = "/girl"; // Redirect to the girl page
-          }}
+          Daily Run
+        </button>
+        <button
+          onClick={() => setSettings(loadSettings())}
+          aria-label="Settings"
+          className="px-3 py-2 rounded-full border-2 border-white text-white bg-black bg-opacity-40 hover:bg-opacity-60 transition-all duration-300"
         >
-          <Character
-            modelPath="/items/girlidle.glb"
-            position={[0, 0, 0]}
-            scale={[0.47, 0.47, 0.47]}
-            idleAnimationName="Armature|mixamo.com|Layer0"
-            customMaterial={{
-              roughness: 0.5,
-              metalness: 0.0,
-              emissive: new THREE.Color(0x000000),
+          <Cog6ToothIcon className="w-5 h-5" />
+        </button>
+      </div>
+
+      {/* Settings */}
+      {settings && (
+        <SettingsPanel
+          settings={settings}
+          onChange={(changes) => setSettings(saveSettings(changes))}
+          onClose={() => setSettings(null)}
+        />
+      )}
+
+      {/* Main Content */}
+      <div className="flex justify-around items-center max-w-screen-lg mx-auto w-full mt-[-40px]">
+        {/* One card per playable character */}
+        {Object.values(CHARACTERS).map((character) => (
+          <div
+            key={character.id}
+            className="flex-1 h-[700px] p-2 cursor-pointer hover:scale-105 transition-all duration-300"
+            onClick={() => {
+              setLastCharacter(character.id); // The Daily Run uses this character too
+              window.location.href = `/play/${character.id}?difficulty=${difficulty}`; // Redirect to the character's game
             }}
-            customLights={[
-              {
-                type: "DirectionalLight",
-                color: 0xffffff,
-                intensity: 1.2,
-                position: { x: 5, y: 10, z: 7.5 },
-              },
-              {
-                type: "SpotLight",
-                color: 0xffffff,
-                intensity: 0.8,
-                position: { x: -10, y: 15, z: -10 },
-              },
-            ]}
-          />
-          <p className="text-center mt-[-140px] text-2xl text-white hover:text-pink-400">
-            Girl
-          </p>
-        </div>
+          >
+            <Character
+              modelPath={character.preview.modelPath}
+              position={PREVIEW_POSITION}
+              scale={character.preview.scale}
+              idleAnimationName={character.preview.idleAnimationName}
+              jumpAnimationName={character.preview.jumpAnimationName}
+              customMaterial={PREVIEW_MATERIAL}
+              customLights={PREVIEW_LIGHTS}
+            />
+            <p className={`text-center mt-[-140px] text-2xl text-white ${character.preview.hoverClassName}`}>
+              {character.name}
+            </p>
+          </div>
+        ))}
       </div>
+
+      {/* Local Leaderboard */}
+      <Leaderboard />
+
+      {/* Team Leaderboard */}
+      <TeamLeaderboard difficulty={difficulty} />
+
       <p className="text-center p-8">Credits: Music by Adrien Nunez</p>
     </div>
   );
@@ -0,0 +1,96 @@
+// ./src/app/components/GameLoop.js
+
+import * as THREE from 'three';
+
+// Simulation runs at a fixed 60 steps per second regardless of refresh rate
+export const FIXED_TIMESTEP = 1 / 60;
+// Clamp long frames (tab switches, hitches) so we don't spiral trying to catch up
+export const MAX_FRAME_TIME = 0.25;
+// World units per second for one unit of `gameState.speed` (0.3 speed = 36 units/s)
+export const WORLD_UNITS_PER_SPEED = 120;
+// Moves larger than this in a single step are recycles and are not interpolated
+const TELEPORT_DISTANCE = 10;
+
+/**
+ * Converts the game state's speed into world units per second.
+ * @param {Object} gameState - The current game state.
+ * @returns {number} - World scroll velocity in units per second.
+ */
+export function getWorldSpeed(gameState) {
+  return gameState.speed * WORLD_UNITS_PER_SPEED;
+}
+
+/**
+ * Creates a fixed-timestep loop. `advance` accumulates real frame time, runs `step`
+ * in whole FIXED_TIMESTEP increments and then calls `render` with the leftover
+ * fraction of a step so positions can be interpolated between the last two states.
+ * @param {Object} options
+ * @param {Function} options.step - Simulation step, called with the fixed delta in seconds.
+ * @param {Function} options.render - Render callback, called with the interpolation alpha (0..1).
+ * @param {number} [options.timestep] - Step length in seconds.
+ * @returns {{ advance: Function, reset: Function }} - Loop controls.
+ */
+export function createFixedStepLoop({ step, render, timestep = FIXED_TIMESTEP }) {
+  let accumulator = 0;
+
+  const advance = (frameTime) => {
+    accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+
+    while (accumulator >= timestep) {
+      step(timestep);
+      accumulator -= timestep;
+    }
+
+    render(accumulator / timestep);
+  };
+
+  const reset = () => {
+    accumulator = 0;
+  };
+
+  return { advance, reset };
+}
+
+/**
+ * Stores each object's position before a simulation step.
+ * @param {THREE.Object3D[]} objects - Objects moved by the simulation.
+ */
+export function snapshotPositions(objects) {
+  objects.forEach((object) => {
+    if (!object.userData.prevPosition) {
+      object.userData.prevPosition = new THREE.Vector3();
+    }
+    object.userData.prevPosition.copy(object.position);
+  });
+}
+
+/**
+ * Moves objects to their interpolated render position. Call `restorePositions` after rendering.
+ * @param {THREE.Object3D[]} objects - Objects moved by the simulation.
+ * @param {number} alpha - Fraction of a step between the previous and current state.
+ */
+export function applyInterpolation(objects, alpha) {
+  objects.forEach((object) => {
+    const { prevPosition } = object.userData;
+    if (!object.userData.simPosition) {
+      object.userData.simPosition = new THREE.Vector3();
+    }
+    object.userData.simPosition.copy(object.position);
+
+    if (prevPosition && prevPosition.distanceTo(object.position) < TELEPORT_DISTANCE) {
+      object.position.lerpVectors(prevPosition, object.userData.simPosition, alpha);
+    }
+  });
+}
+
+/**
+ * Puts objects back at their simulated position after rendering.
+ * @param {THREE.Object3D[]} objects - Objects passed to `applyInterpolation`.
+ */
+export function restorePositions(objects) {
+  objects.forEach((object) => {
+    if (object.userData.simPosition) {
+      object.position.copy(object.userData.simPosition);
+    }
+  });
+}
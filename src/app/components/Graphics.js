@@ -0,0 +1,126 @@
+// ./src/app/components/Graphics.js
+//
+// Graphics quality presets and how they are applied to the renderer, lights, camera
+// and scenery. "Auto" starts from a level picked for the device and steps down while
+// frames take longer than the budget.
+
+import * as THREE from 'three';
+import { setEnvironmentDetail } from './Environment';
+
+/**
+ * Fixed presets, lowest first. `lightCount` enables that many of the scene lights
+ * (ambient, directional, point); `shadowMapSize` 0 turns shadows off.
+ */
+export const QUALITY_PRESETS = {
+  low: {
+    id: 'low',
+    label: 'Low',
+    pixelRatio: 1,
+    antialias: false,
+    shadowMapSize: 0,
+    lightCount: 2,
+    drawDistance: 300,
+    buildingCount: 4,
+    cloudCount: 3,
+  },
+  medium: {
+    id: 'medium',
+    label: 'Medium',
+    pixelRatio: 1.5,
+    antialias: true,
+    shadowMapSize: 1024,
+    lightCount: 2,
+    drawDistance: 600,
+    buildingCount: 7,
+    cloudCount: 6,
+  },
+  high: {
+    id: 'high',
+    label: 'High',
+    pixelRatio: 2,
+    antialias: true,
+    shadowMapSize: 2048,
+    lightCount: 3,
+    drawDistance: 1000,
+    buildingCount: 10,
+    cloudCount: 10,
+  },
+};
+
+export const AUTO_QUALITY = 'auto';
+export const DEFAULT_QUALITY = AUTO_QUALITY;
+export const QUALITY_OPTIONS = [...Object.values(QUALITY_PRESETS), { id: AUTO_QUALITY, label: 'Auto' }];
+
+const QUALITY_ORDER = Object.keys(QUALITY_PRESETS);
+export const FRAME_BUDGET_MS = 1000 / 50; // Auto steps down when the median frame is slower than 50 fps
+export const AUTO_QUALITY_INTERVAL = 3; // Seconds between auto checks (longer than the stats window)
+export const AUTO_QUALITY_WARMUP = 5; // Loading hitches are ignored for this long after start
+
+/**
+ * Resolves a quality setting to a preset id. Auto starts at medium on touch devices and high elsewhere.
+ * @param {string} quality - Preset id or `auto`.
+ * @returns {string} - Preset id.
+ */
+export function resolveQuality(quality) {
+  if (QUALITY_PRESETS[quality]) return quality;
+
+  const isTouch = typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0;
+  return isTouch ? 'medium' : 'high';
+}
+
+/**
+ * Picks a lower preset if frames are over budget.
+ * @param {string} currentId - Preset in use.
+ * @param {Object} stats - `getStats()` from the performance monitor.
+ * @returns {string|null} - The preset to switch to, or null to stay.
+ */
+export function getAutoDowngrade(currentId, stats) {
+  const index = QUALITY_ORDER.indexOf(currentId);
+  if (index <= 0 || stats.p50 <= FRAME_BUDGET_MS) return null; // Median, so one long hitch doesn't count
+  return QUALITY_ORDER[index - 1];
+}
+
+/**
+ * Applies a preset to a running game. Antialiasing is fixed when the WebGL context is
+ * created, so it only changes for renderers created afterwards (`preset.antialias`).
+ * @param {Object} graphics - `{ renderer, camera, scene, lights }`, lights ordered ambient, directional, point.
+ * @param {string} presetId - Preset id.
+ */
+export function applyQualityPreset({ renderer, camera, scene, lights }, presetId) {
+  const preset = QUALITY_PRESETS[presetId];
+
+  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, preset.pixelRatio));
+
+  // Shadows: toggling the shadow map needs every material recompiled
+  const shadows = preset.shadowMapSize > 0;
+  if (renderer.shadowMap.enabled !== shadows) {
+    renderer.shadowMap.enabled = shadows;
+    scene.traverse((node) => {
+      if (node.material) [].concat(node.material).forEach((material) => (material.needsUpdate = true));
+    });
+  }
+
+  lights.forEach((light, i) => {
+    light.visible = i < preset.lightCount;
+
+    if (light.isDirectionalLight) {
+      light.castShadow = shadows; // Only the sun casts shadows
+      if (shadows && light.shadow.mapSize.x !== preset.shadowMapSize) {
+        light.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+        if (light.shadow.map) {
+          light.shadow.map.dispose(); // Recreated at the new size on the next render
+          light.shadow.map = null;
+        }
+      }
+    }
+  });
+
+  // Draw distance, with fog hiding the cut-off on the shorter presets
+  camera.far = preset.drawDistance;
+  camera.updateProjectionMatrix();
+  scene.fog = preset.drawDistance < QUALITY_PRESETS.high.drawDistance
+    ? new THREE.Fog(scene.background, preset.drawDistance * 0.6, preset.drawDistance)
+    : null;
+
+  setEnvironmentDetail({ buildingCount: preset.buildingCount, cloudCount: preset.cloudCount });
+}
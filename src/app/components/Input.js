@@ -0,0 +1,185 @@
+// ./src/app/components/Input.js
+//
+// Maps keyboard keys and gamepad buttons to game actions. Bindings live in the player's
+// settings; keys, gamepad, swipes and the touch buttons all feed one buffered action
+// queue that the game loop drains on each simulation step.
+
+// Actions that can be bound, in the order the settings screen lists them
+export const ACTIONS = [
+  { id: 'left', label: 'Move Left' },
+  { id: 'right', label: 'Move Right' },
+  { id: 'jump', label: 'Jump' },
+  { id: 'slide', label: 'Slide' },
+  { id: 'pause', label: 'Pause' },
+];
+
+export const BINDING_SLOTS = 2; // Inputs per action and device
+
+// Keys are stored as `KeyboardEvent.code`, so WASD stays in place on other keyboard layouts
+export const DEFAULT_KEY_BINDINGS = {
+  left: ['ArrowLeft', 'KeyA'],
+  right: ['ArrowRight', 'KeyD'],
+  jump: ['ArrowUp', 'KeyW'],
+  slide: ['ArrowDown', 'KeyS'],
+  pause: ['Escape', 'KeyP'],
+};
+
+// Button indexes of the standard gamepad layout: 0 A, 1 B, 9 Start, 12-15 d-pad up, down, left, right
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  left: [14],
+  right: [15],
+  jump: [12, 0],
+  slide: [13, 1],
+  pause: [9],
+};
+
+const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'];
+const KEY_NAMES = { ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓', Escape: 'Esc', Space: 'Space' };
+
+// Both analog sticks steer like the d-pad: axes 0/2 are horizontal, 1/3 vertical (up is negative)
+const STICK_DIRECTIONS = [
+  { axes: [0, 2], sign: -1, action: 'left' },
+  { axes: [0, 2], sign: 1, action: 'right' },
+  { axes: [1, 3], sign: -1, action: 'jump' },
+  { axes: [1, 3], sign: 1, action: 'slide' },
+];
+const STICK_THRESHOLD = 0.5; // How far a stick must tilt to count as pressed
+
+const INPUT_BUFFER_MS = 150; // Queued actions older than this are dropped (e.g. after a frame hitch)
+const MAX_BUFFERED_ACTIONS = 3; // Mashing can't queue up more than this
+
+/**
+ * Finds the action bound to a key.
+ * @param {string} code - `KeyboardEvent.code`.
+ * @param {Object} bindings - Action id to key codes, like DEFAULT_KEY_BINDINGS.
+ * @returns {string|null} - Action id, or null if the key is unbound.
+ */
+export function getActionForKey(code, bindings) {
+  const entry = Object.entries(bindings).find(([, codes]) => codes.includes(code));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Readable name for a key code, e.g. `KeyW` -> `W`.
+ * @param {string} code - `KeyboardEvent.code`.
+ * @returns {string} - Label for the settings screen.
+ */
+export function formatKey(code) {
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  return code.replace(/^(Key|Digit)/, '');
+}
+
+/**
+ * Readable name for a standard-layout gamepad button.
+ * @param {number} index - Button index.
+ * @returns {string} - Label for the settings screen.
+ */
+export function formatGamepadButton(index) {
+  return GAMEPAD_BUTTON_NAMES[index] || `Button ${index}`;
+}
+
+/**
+ * Binds an input to an action slot, unbinding it from any other action first so one
+ * input never triggers two actions.
+ * @param {Object} bindings - Current bindings for one device.
+ * @param {string} action - Action id.
+ * @param {number} slot - Slot index, below BINDING_SLOTS.
+ * @param {string|number} input - Key code or gamepad button index.
+ * @returns {Object} - New bindings (the input object is left unchanged).
+ */
+export function setBinding(bindings, action, slot, input) {
+  const next = {};
+  Object.entries(bindings).forEach(([id, inputs]) => {
+    next[id] = inputs.filter((bound) => bound !== input);
+  });
+
+  const slots = [...(next[action] || [])];
+  slots[Math.min(slot, slots.length)] = input; // No gaps: a later slot fills the next free one
+  next[action] = slots;
+  return next;
+}
+
+// First connected gamepad, or null
+function getGamepad() {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+  return Array.from(navigator.getGamepads()).find((pad) => pad && pad.connected) || null;
+}
+
+/**
+ * Lists the buttons currently held on the first connected gamepad, for rebinding.
+ * @returns {number[]} - Pressed button indexes.
+ */
+export function getPressedGamepadButtons() {
+  const pad = getGamepad();
+  if (!pad) return [];
+
+  return pad.buttons.reduce((pressed, button, index) => (button.pressed ? [...pressed, index] : pressed), []);
+}
+
+/**
+ * Creates a gamepad reader. The Gamepad API has no events for buttons, so it is polled
+ * every frame and reports each action once per press.
+ * @returns {{ poll: Function }} - `poll(bindings)` returns the actions pressed since the last poll.
+ */
+export function createGamepadPoller() {
+  let held = new Set(); // Actions held at the last poll
+
+  return {
+    poll(bindings) {
+      const pad = getGamepad();
+      const down = new Set();
+
+      if (pad) {
+        Object.entries(bindings).forEach(([action, buttons]) => {
+          if (buttons.some((index) => pad.buttons[index]?.pressed)) down.add(action);
+        });
+        STICK_DIRECTIONS.forEach(({ axes, sign, action }) => {
+          if (axes.some((axis) => (pad.axes[axis] || 0) * sign > STICK_THRESHOLD)) down.add(action);
+        });
+      }
+
+      const pressed = [...down].filter((action) => !held.has(action));
+      held = down;
+      return pressed;
+    },
+  };
+}
+
+/**
+ * Creates the action queue every input source pushes into. Actions wait until the next
+ * simulation step takes them; stale or excess actions are dropped so a stall or button
+ * mashing doesn't replay a burst of moves afterwards.
+ * @returns {{ push: Function, take: Function, clear: Function, size: Function }}
+ */
+export function createActionQueue() {
+  let queue = [];
+
+  return {
+    /**
+     * @param {string} action - Action id.
+     * @param {number} now - Current time in milliseconds.
+     */
+    push(action, now) {
+      queue.push({ action, time: now });
+      if (queue.length > MAX_BUFFERED_ACTIONS) queue.shift();
+    },
+
+    /**
+     * @param {number} now - Current time in milliseconds.
+     * @returns {string[]} - Buffered actions, oldest first. The queue is emptied.
+     */
+    take(now) {
+      const actions = queue.filter((entry) => now - entry.time <= INPUT_BUFFER_MS).map((entry) => entry.action);
+      queue = [];
+      return actions;
+    },
+
+    clear() {
+      queue = [];
+    },
+
+    size() {
+      return queue.length;
+    },
+  };
+}
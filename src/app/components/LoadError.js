@@ -0,0 +1,49 @@
+'use client'; // Enables client-side rendering for Next.js
+import React from 'react';
+import { ArrowLeftIcon, ArrowPathIcon, ExclamationTriangleIcon } from '@heroicons/react/24/solid';
+
+/**
+ * Shown instead of the game when the player model can't be loaded.
+ * @param {Object} props
+ * @param {string} props.message - What went wrong.
+ * @param {string[]} [props.failedAssets] - Every file that failed to load.
+ * @param {Function} props.onRetry - Loads the missing files again.
+ * @param {Function} props.onPlaceholder - Starts the run with a placeholder character.
+ * @param {Function} props.onExit - Back to the home page.
+ */
+export default function LoadError({ message, failedAssets = [], onRetry, onPlaceholder, onExit }) {
+  return (
+    <div
+      style={{ zIndex: 9999 }}
+      className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-80 text-white"
+    >
+      <div className="max-w-md p-6 bg-gray-800 rounded-lg shadow-lg text-center">
+        <ExclamationTriangleIcon className="w-12 h-12 mx-auto text-yellow-400" />
+        <h1 className="text-3xl font-bold my-2">Couldn&apos;t load the game</h1>
+        <p className="mb-2">{message}</p>
+        {failedAssets.length > 0 && (
+          <ul className="text-sm text-gray-300 mb-4">
+            {failedAssets.map((path) => (
+              <li key={path} className="font-mono">{path}</li>
+            ))}
+          </ul>
+        )}
+
+        <div className="flex flex-col gap-3">
+          <button
+            onClick={onRetry}
+            className="inline-flex justify-center px-6 py-3 bg-green-600 font-bold rounded-lg hover:bg-green-700"
+          >
+            <ArrowPathIcon className="w-5 h-5 mt-0.5 mr-2" /> Retry
+          </button>
+          <button onClick={onPlaceholder} className="px-6 py-3 bg-blue-500 font-bold rounded-lg hover:bg-blue-600">
+            Play with a stand-in character
+          </button>
+          <button onClick={onExit} className="inline-flex justify-center rounded-xl hover:bg-gray-700 p-2">
+            <ArrowLeftIcon className="w-4 h-4 mt-1 mr-2" /> Exit Game
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+// ./src/app/components/ObstacleTypes.js
+
+/**
+ * Obstacle catalog. Obstacles stand on the ground centred on their lane (see Track.js).
+ * Hitboxes are measured from that point: `left`/`right` in X, `bottom`/`top` in Y and
+ * `back`/`front` in Z (back is away from the camera). Types drawn from a model are
+ * measured once it loads and runs use that instead (see `createHitboxes` in Simulation.js);
+ * the values here are the fallback when the model is missing. `avoid` says how the player gets past it:
+ *   jump  - low enough to jump over (sliding doesn't help)
+ *   slide - overhead, only a sliding player fits underneath
+ *   lane  - too tall for either, change lanes
+ */
+export const OBSTACLE_TYPES = {
+  hurdle: {
+    id: 'hurdle',
+    label: 'Hurdle',
+    avoid: 'jump',
+    hitbox: { left: 0.75, right: 0.75, bottom: 0, top: 1, back: 0.85, front: 0.85 },
+  },
+  overhead: {
+    id: 'overhead',
+    label: 'Overhead Bar',
+    avoid: 'slide',
+    hitbox: { left: 1.5, right: 1.5, bottom: 1, top: 3, back: 0.3, front: 0.3 },
+  },
+  blocker: {
+    id: 'blocker',
+    label: 'Blocker',
+    avoid: 'lane',
+    hitbox: { left: 1.5, right: 1.5, bottom: 0, top: 3.5, back: 1.5, front: 1.5 },
+  },
+  vehicle: {
+    id: 'vehicle',
+    label: 'Vehicle',
+    avoid: 'lane',
+    speed: 12, // Drives towards the player on top of the world scroll, units/s
+    triggerZ: -60, // Pulls out once this close, so it never drives into the obstacles in front of it
+    hitbox: { left: 1.3, right: 1.3, bottom: 0, top: 2.2, back: 2.5, front: 2.5 },
+  },
+};
+
+export const DEFAULT_OBSTACLE_TYPE = 'hurdle';
+
+/**
+ * Looks up an obstacle type, falling back to the hurdle.
+ * @param {string} id - Obstacle type id.
+ * @returns {Object} - The obstacle type.
+ */
+export function getObstacleType(id) {
+  return OBSTACLE_TYPES[id] || OBSTACLE_TYPES[DEFAULT_OBSTACLE_TYPE];
+}
+
+/**
+ * Builds a hitbox from the size of a model that is centred on its lane and stands on the ground.
+ * @param {{ x: number, y: number, z: number }} size - Model bounds size in world units.
+ * @returns {Object} - Hitbox in the catalog's format.
+ */
+export function createHitboxFromSize(size) {
+  return { left: size.x / 2, right: size.x / 2, bottom: 0, top: size.y, back: size.z / 2, front: size.z / 2 };
+}
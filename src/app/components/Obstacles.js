@@ -1,131 +1,206 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { ASSET_MANIFEST, cloneAsset } from './Assets';
+import { getObstacleType, createHitboxFromSize } from './ObstacleTypes';
 
-// Export global barriers array
+// Barrier meshes currently in use (the rules live in Simulation.js and ObstacleTypes.js)
 export const barriers = [];
-export const LANE_OFFSETS = [-3, 1, 5]; // Lane positions for alignment
-export const MAX_BARRIERS = 10;
-export const MIN_BARRIER_SPACING = 25; // Minimum Z spacing between barriers
 
-// Use an object to track lastBarrierZ
-export const barrierState = {
-  lastBarrierZ: -40, // Track the last Z position for proper spacing
-};
+// Barrier meshes by simulated barrier id, and hidden meshes waiting for reuse by obstacle type
+const meshesById = new Map();
+const meshPools = new Map();
+let syncStamp = 0;
+
+// Loaded barrier model, cloned for every simulated hurdle
+let barrierTemplate = null;
+
+// Shared materials for the obstacles built from primitives
+let obstacleMaterials = null;
+
+function getObstacleMaterials() {
+  if (!obstacleMaterials) {
+    obstacleMaterials = {
+      metal: new THREE.MeshStandardMaterial({ color: 0x8a8f98, metalness: 0.6, roughness: 0.4 }),
+      stripe: new THREE.MeshStandardMaterial({ color: 0xf5c518 }),
+      concrete: new THREE.MeshStandardMaterial({ color: 0x9e9e9e, roughness: 0.9 }),
+      vehicle: new THREE.MeshStandardMaterial({ color: 0xd93b3b, metalness: 0.3, roughness: 0.5 }),
+      glass: new THREE.MeshStandardMaterial({ color: 0x223344, metalness: 0.8, roughness: 0.1 }),
+    };
+  }
+  return obstacleMaterials;
+}
+
+// Adds a box to a group; sizes and positions are in world units from the obstacle's ground point on its lane
+function addBox(group, material, [width, height, depth], [x, y, z]) {
+  const box = new THREE.Mesh(new THREE.BoxGeometry(width, height, depth), material);
+  box.position.set(x, y, z);
+  box.castShadow = true;
+  box.receiveShadow = true;
+  group.add(box);
+}
+
+// Builds the mesh for an obstacle type, sized to match its hitbox
+function createObstacleMesh(type) {
+  const materials = getObstacleMaterials();
+  const { hitbox } = type;
+  const width = hitbox.left + hitbox.right;
+  const group = new THREE.Group();
+
+  switch (type.id) {
+    case 'overhead': {
+      // Two posts holding a striped bar at head height
+      const barHeight = hitbox.top - hitbox.bottom;
+      addBox(group, materials.metal, [0.2, hitbox.top, 0.2], [-hitbox.left, hitbox.top / 2, 0]);
+      addBox(group, materials.metal, [0.2, hitbox.top, 0.2], [hitbox.right, hitbox.top / 2, 0]);
+      addBox(group, materials.stripe, [width, barHeight, 0.4], [0, hitbox.bottom + barHeight / 2, 0]);
+      break;
+    }
+    case 'vehicle': {
+      // Body plus a cabin on top
+      const depth = hitbox.back + hitbox.front;
+      addBox(group, materials.vehicle, [width, hitbox.top * 0.55, depth], [0, hitbox.top * 0.275, 0]);
+      addBox(group, materials.glass, [width * 0.85, hitbox.top * 0.45, depth * 0.5], [0, hitbox.top * 0.775, 0.2]);
+      break;
+    }
+    case 'hurdle': {
+      if (barrierTemplate) return barrierTemplate.clone();
+
+      // Placeholder while the barrier model is missing: a striped board on two legs
+      const boardHeight = hitbox.top * 0.4;
+      addBox(group, materials.metal, [0.15, hitbox.top, 0.15], [-hitbox.left + 0.1, hitbox.top / 2, 0]);
+      addBox(group, materials.metal, [0.15, hitbox.top, 0.15], [hitbox.right - 0.1, hitbox.top / 2, 0]);
+      addBox(group, materials.stripe, [width, boardHeight, 0.2], [0, hitbox.top - boardHeight / 2, 0]);
+      break;
+    }
+    default:
+      addBox(group, materials.concrete, [width, hitbox.top - hitbox.bottom, hitbox.back + hitbox.front], [0, (hitbox.top + hitbox.bottom) / 2, 0]);
+      break;
+  }
+
+  group.userData.ownsGeometry = true;
+  return group;
+}
+
+// Frees the geometry a barrier mesh doesn't share with the model template
+function disposeObstacleMesh(barrier) {
+  if (barrier.userData.ownsGeometry) {
+    barrier.traverse((node) => {
+      if (node.isMesh) node.geometry.dispose();
+    });
+  }
+}
+
+// Takes a mesh for an obstacle type from its pool, building one if the pool is empty
+function acquireObstacleMesh(scene, typeId) {
+  const pool = meshPools.get(typeId);
+  const barrier = (pool && pool.pop()) || createObstacleMesh(getObstacleType(typeId));
+  barrier.userData.obstacleType = typeId;
+  barrier.visible = true;
+  if (!barrier.parent) scene.add(barrier);
+  return barrier;
+}
+
+// Hides a barrier mesh and puts it back in its type's pool
+function releaseObstacleMesh(barrier) {
+  barrier.visible = false;
+
+  const typeId = barrier.userData.obstacleType;
+  if (!meshPools.has(typeId)) meshPools.set(typeId, []);
+  meshPools.get(typeId).push(barrier);
+}
 
 /**
- * Initializes barriers in the scene.
- * @param {THREE.Scene} scene - The Three.js scene object.
+ * Prepares the barrier model used to draw simulated hurdles. The model must already be
+ * loaded (see Assets.js); without it hurdles are drawn as plain blocks.
+ * @returns {Object} - Obstacle hitboxes measured from the models by type id, for `createSimulation`.
  */
-export function initObstacles(scene) {
-  const loader = new GLTFLoader();
-
-  for (let i = 0; i < MAX_BARRIERS; i++) {
-    loader.load(
-      '/items/barrier.glb',
-      (gltf) => {
-        const barrier = gltf.scene;
-
-        // Assign barrier to a random lane
-        const laneIndex = Math.floor(Math.random() * LANE_OFFSETS.length);
-        const laneX = LANE_OFFSETS[laneIndex];
-
-        // Set initial position and scale
-        barrier.position.set(
-          laneX, 
-          0.5, 
-          barrierState.lastBarrierZ
-        );
-        barrier.scale.set(2, 2, 2);
-
-        // Enable shadows
-        barrier.traverse((node) => {
-          if (node.isMesh) {
-            node.castShadow = true;
-            node.receiveShadow = true;
-          }
-        });
-
-        // Add to the scene and array
-        scene.add(barrier);
-        barriers.push(barrier);
-
-        // Update Z position for the next barrier
-        barrierState.lastBarrierZ -= MIN_BARRIER_SPACING;
-      },
-      undefined,
-      (error) => {
-        console.error('Error loading barrier model:', error);
-      }
-    );
-  }
+export function initObstacles() {
+  const model = cloneAsset(ASSET_MANIFEST.barrier);
+  if (!model) return {};
+
+  model.scale.set(2, 2, 2);
+
+  // Enable shadows
+  model.traverse((node) => {
+    if (node.isMesh) {
+      node.castShadow = true;
+      node.receiveShadow = true;
+    }
+  });
+
+  // Centre the model on its lane and stand it on the ground, then use its bounds as the hitbox
+  const bounds = new THREE.Box3().setFromObject(model);
+  const center = bounds.getCenter(new THREE.Vector3());
+  model.position.set(-center.x, -bounds.min.y, -center.z);
+
+  barrierTemplate = new THREE.Group();
+  barrierTemplate.add(model);
+
+  return { hurdle: createHitboxFromSize(bounds.getSize(new THREE.Vector3())) };
 }
 
 /**
- * Updates barriers' positions and handles recycling logic.
+ * Makes the barrier meshes match the simulated barriers: takes meshes from the pool for
+ * new barriers, returns meshes of despawned ones and copies positions.
  * @param {THREE.Scene} scene - The Three.js scene object.
- * @param {THREE.Object3D} player - The player object.
- * @param {Object} gameState - The current game state.
- * @param {Function} onCollision - Callback for collision detection.
+ * @param {Object[]} simBarriers - `state.barriers` from the simulation.
  */
-export function updateObstacles(scene, player, gameState, onCollision) {
-  if (!player) {
-    console.warn('Player is not initialized. Skipping obstacles update.');
-    return;
+export function syncObstacles(scene, simBarriers) {
+  syncStamp++;
+
+  // Mark the meshes that still have their barrier; recycled barriers can come back as a
+  // different type, and their old mesh is returned like a despawned one
+  simBarriers.forEach((simBarrier) => {
+    const barrier = meshesById.get(simBarrier.id);
+    if (barrier && barrier.userData.obstacleType === simBarrier.type) barrier.userData.stamp = syncStamp;
+  });
+
+  // Return the rest to the pool first, so new barriers below can reuse them straight away
+  for (let i = barriers.length - 1; i >= 0; i--) {
+    const barrier = barriers[i];
+    if (barrier.userData.stamp === syncStamp) continue;
+
+    meshesById.delete(barrier.userData.entityId);
+    barriers[i] = barriers[barriers.length - 1];
+    barriers.pop();
+    releaseObstacleMesh(barrier);
   }
 
-  const speed = gameState.speed * 2;
+  simBarriers.forEach((simBarrier) => {
+    let barrier = meshesById.get(simBarrier.id);
 
-  barriers.forEach((barrier) => {
-    // Move barriers forward
-    barrier.position.z += speed;
+    if (!barrier) {
+      barrier = acquireObstacleMesh(scene, simBarrier.type);
+      barrier.userData.entityId = simBarrier.id;
+      barrier.userData.stamp = syncStamp;
 
-    // Recycle barriers that move out of view
-    if (barrier.position.z > 10) {
-      const laneIndex = Math.floor(Math.random() * LANE_OFFSETS.length);
-      barrier.position.x = LANE_OFFSETS[laneIndex];
-      barrier.position.z = barrierState.lastBarrierZ - MIN_BARRIER_SPACING;
-      barrierState.lastBarrierZ -= MIN_BARRIER_SPACING; // Update within the barrierState object
-    }
+      // A pooled mesh still remembers where its previous barrier was; don't interpolate from there
+      barrier.userData.prevPosition?.set(simBarrier.x, simBarrier.y, simBarrier.z);
 
-    // Collision detection with properly scaled bounding boxes
-    try {
-      // Adjusted player bounding box
-      const playerHeight = 1.5; // Player height
-      const playerBox = new THREE.Box3(
-        new THREE.Vector3(
-          player.position.x - 0.5, // Adjust width
-          player.position.y, // Bottom of player
-          player.position.z - 0.5 // Depth
-        ),
-        new THREE.Vector3(
-          player.position.x + 0.5, // Adjust width
-          player.position.y + playerHeight, // Top of player
-          player.position.z + 0.5 // Depth
-        )
-      );
-
-      // Adjusted barrier bounding box
-      const barrierHeight = 0.5; // Barrier height
-      const barrierBox = new THREE.Box3(
-        new THREE.Vector3(
-          barrier.position.x - 1, // Slightly larger width for alignment
-          barrier.position.y, // Bottom of barrier
-          barrier.position.z - 1 // Depth
-        ),
-        new THREE.Vector3(
-          barrier.position.x + 0.5, // Slightly larger width for alignment
-          barrier.position.y + barrierHeight, // Top of barrier
-          barrier.position.z + 0.7 // Depth
-        )
-      );
-
-      // Check if bounding boxes intersect
-      if (playerBox.intersectsBox(barrierBox)) {
-        console.log('Collision detected!');
-        onCollision(); // Trigger collision callback
-      }
-    } catch (error) {
-      console.error('Error during collision detection:', error);
+      meshesById.set(simBarrier.id, barrier);
+      barriers.push(barrier);
     }
+
+    barrier.position.set(simBarrier.x, simBarrier.y, simBarrier.z);
+  });
+}
+
+/**
+ * Removes all barrier meshes, pooled ones included, and releases the shared materials.
+ * @param {THREE.Scene} scene - The Three.js scene object.
+ */
+export function disposeObstacles(scene) {
+  const pooled = [...meshPools.values()].flat();
+  [...barriers, ...pooled].forEach((barrier) => {
+    scene.remove(barrier);
+    disposeObstacleMesh(barrier);
   });
+  barriers.length = 0;
+  meshesById.clear();
+  meshPools.clear();
+  barrierTemplate = null; // The model itself is freed with the asset cache
+
+  if (obstacleMaterials) {
+    Object.values(obstacleMaterials).forEach((material) => material.dispose());
+    obstacleMaterials = null;
+  }
 }
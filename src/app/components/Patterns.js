@@ -0,0 +1,306 @@
+// ./src/app/components/Patterns.js
+//
+// Chunk-based obstacle generator. A chunk is a short sequence of obstacle rows taken
+// from a hand-authored pattern or built procedurally. Before a chunk is used it is
+// checked against the player's moves (lane-change time, jump airtime, slide duration)
+// at the speed it will be reached at, and its gaps are stretched until a route through
+// it exists. Coin formations are laid along that route to teach the player the safe path:
+// trails in the open lane, diagonal lines across lane changes and arcs over jumps.
+//
+// Lanes in here are indices from 0 (left) to laneCount - 1; the simulation converts them.
+
+import { OBSTACLE_TYPES } from './ObstacleTypes';
+
+const REACTION_TIME = 0.2; // Seconds of slack added to every manoeuvre
+const STRETCH_FACTOR = 1.3; // Gap growth per failed passability check
+const MAX_STRETCHES = 12; // 1.3^12 ≈ 23x the spacing, enough for any pattern with an open lane
+export const COIN_SPACING = 10; // Trail coins sit on a grid of this many world units along the course
+const COIN_CLEARANCE = 2; // Keep coins this far from obstacles
+export const MAX_TRAIL_COINS = 5; // Most coins laid between two obstacle rows
+export const FORMATION_COIN_SPACING = 4; // Coins in lines and arcs are this far apart; no two coins are ever closer
+
+/**
+ * Hand-authored patterns. Each row is `{ gap, obstacles }` where `gap` is the distance
+ * from the previous row in multiples of the current barrier spacing and each obstacle
+ * is `[lane, avoid]`: `avoid` picks a type from ObstacleTypes.js by how it is passed
+ * (`jump`, `slide`, `lane`) or `any`. Patterns are mirrored at random.
+ * Patterns with a `build` function are procedural and return their rows instead.
+ */
+export const PATTERNS = {
+  scatter: { weight: 4, build: buildScatterRows },
+  wall: {
+    weight: 3,
+    rows: [{ gap: 1, obstacles: [[0, 'lane'], [1, 'lane']] }],
+  },
+  zigzag: {
+    weight: 2,
+    rows: [
+      { gap: 1, obstacles: [[0, 'lane'], [1, 'lane']] },
+      { gap: 1, obstacles: [[1, 'lane'], [2, 'lane']] },
+      { gap: 1, obstacles: [[0, 'lane'], [1, 'lane']] },
+    ],
+  },
+  hurdles: {
+    weight: 2,
+    rows: [{ gap: 1, obstacles: [[0, 'jump'], [1, 'jump'], [2, 'jump']] }],
+  },
+  underpass: {
+    weight: 2,
+    rows: [{ gap: 1, obstacles: [[0, 'lane'], [1, 'slide'], [2, 'lane']] }],
+  },
+  mixedWall: {
+    weight: 2,
+    rows: [{ gap: 1, obstacles: [[0, 'jump'], [1, 'slide'], [2, 'lane']] }],
+  },
+  corridor: {
+    weight: 1,
+    rows: [
+      { gap: 1, obstacles: [[0, 'lane'], [2, 'lane']] },
+      { gap: 0.6, obstacles: [[0, 'lane'], [2, 'lane']] },
+      { gap: 0.6, obstacles: [[0, 'lane'], [1, 'jump'], [2, 'lane']] },
+    ],
+  },
+};
+
+const PATTERN_WEIGHTS = Object.fromEntries(Object.entries(PATTERNS).map(([id, pattern]) => [id, pattern.weight]));
+
+// Procedural pattern: two to four rows of one or two random obstacles
+function buildScatterRows(random, laneCount) {
+  const rowCount = 2 + random.int(3);
+
+  return Array.from({ length: rowCount }, () => {
+    const first = random.int(laneCount);
+    const obstacles = [[first, 'any']];
+
+    if (random.next() < 0.35) {
+      obstacles.push([(first + 1 + random.int(laneCount - 1)) % laneCount, 'any']);
+    }
+
+    return { gap: 1, obstacles };
+  });
+}
+
+// Picks a concrete obstacle type for a pattern slot, weighted by the difficulty tier
+function pickObstacleType(random, avoid, obstacleWeights) {
+  const candidates = Object.values(OBSTACLE_TYPES).filter((type) => avoid === 'any' || type.avoid === avoid);
+  const weights = Object.fromEntries(candidates.map((type) => [type.id, obstacleWeights[type.id] || 0]));
+
+  // The tier doesn't use any type of this kind, fall back to the first one
+  if (!Object.values(weights).some((weight) => weight > 0)) return candidates[0].id;
+
+  return random.weighted(weights);
+}
+
+// Turns a pattern into rows of concrete obstacles with gaps in world units
+function instantiatePattern(pattern, random, context) {
+  const { laneCount, spacing, obstacleWeights } = context;
+  const rows = pattern.build ? pattern.build(random, laneCount) : pattern.rows;
+  const mirrored = random.next() < 0.5;
+
+  return rows.map((row) => ({
+    gap: row.gap * spacing,
+    obstacles: row.obstacles.map(([lane, avoid]) => ({
+      lane: mirrored ? laneCount - 1 - lane : lane,
+      type: pickObstacleType(random, avoid, obstacleWeights),
+    })),
+  }));
+}
+
+// How much closer a moving obstacle gets before it reaches the player
+function getVehicleGain(type, worldSpeed) {
+  if (!type.speed) return 0;
+  return (type.speed * -type.triggerZ) / (worldSpeed + type.speed);
+}
+
+// Groups the chunk's obstacles by when they reach the player. Each event has the
+// effective distance it arrives at, its Z extent and what each lane needs.
+function getArrivalEvents(rows, worldSpeed, hitboxes) {
+  const events = new Map();
+  let distance = 0;
+
+  rows.forEach((row) => {
+    distance += row.gap;
+
+    row.obstacles.forEach(({ lane, type: typeId }) => {
+      const type = OBSTACLE_TYPES[typeId];
+      const arrival = distance - getVehicleGain(type, worldSpeed);
+
+      if (!events.has(arrival)) {
+        events.set(arrival, { distance: arrival, front: 0, back: 0, lanes: {} });
+      }
+
+      const event = events.get(arrival);
+      event.front = Math.max(event.front, hitboxes[typeId].front);
+      event.back = Math.max(event.back, hitboxes[typeId].back);
+      event.lanes[lane] = type.avoid;
+    });
+  });
+
+  return [...events.values()].sort((a, b) => a.distance - b.distance);
+}
+
+// Walks the arrival events keeping, per lane, the earliest the player can start a jump
+// or slide there (`busy` seconds). Returns null if some event can't be passed.
+function findRoute(events, context) {
+  const { laneCount, worldSpeed, moves, entry } = context;
+  let lanes = entry.lanes;
+  let edge = entry.edge; // Far edge of the last obstacle passed
+  const steps = [];
+
+  for (const event of events) {
+    const time = (event.distance - event.front - edge - moves.depth) / worldSpeed;
+    const next = {};
+    const from = {};
+
+    for (let lane = 0; lane < laneCount; lane++) {
+      const avoid = event.lanes[lane];
+      if (avoid === 'lane') continue;
+
+      const vertical = avoid === 'jump' || avoid === 'slide';
+
+      Object.entries(lanes).forEach(([key, busy]) => {
+        const fromLane = Number(key);
+        let need = Math.abs(lane - fromLane) * moves.laneChange;
+        if (vertical) need = Math.max(need, busy);
+
+        // Staying put in an open lane needs no time, anything else needs a window
+        if (need > 0 && need + REACTION_TIME > time) return;
+
+        const nextBusy = vertical ? moves[avoid] : Math.max(busy - Math.max(time, 0), 0);
+        if (next[lane] === undefined || nextBusy < next[lane]) {
+          next[lane] = nextBusy;
+          from[lane] = fromLane;
+        }
+      });
+    }
+
+    if (Object.keys(next).length === 0) return null;
+
+    steps.push({ event, edge, from });
+    lanes = next;
+    edge = event.distance + event.back;
+  }
+
+  return { lanes, edge, steps };
+}
+
+// Lays the coin formations that show the route: a diagonal line across each lane change
+// right after the obstacle it dodges, a trail along the lane on the course grid, and an
+// arc over each jump obstacle following the jump trajectory, its peak above the obstacle
+function layCoinFormations(route, random, context) {
+  const { worldSpeed, moves, courseStart, entry } = context;
+  const coins = [];
+  if (route.steps.length === 0) return coins;
+
+  // Pick where the route ends and follow it back to the start
+  let lane = Number(random.pick(Object.keys(route.lanes)));
+  const lanes = [];
+  for (let i = route.steps.length - 1; i >= 0; i--) {
+    lanes[i] = lane;
+    lane = route.steps[i].from[lane];
+  }
+
+  // Coins go in course order; one closer than FORMATION_COIN_SPACING to the last is skipped
+  let lastCoin = entry.lastCoin;
+  const placeCoin = (coinLane, distance, height = 0) => {
+    if (distance < lastCoin + FORMATION_COIN_SPACING) return;
+    coins.push({ lane: coinLane, distance, height });
+    lastCoin = distance;
+  };
+
+  route.steps.forEach(({ event, edge, from }, i) => {
+    const toLane = lanes[i];
+    const fromLane = from[toLane];
+    const next = route.steps[i + 1];
+    let start = edge + COIN_CLEARANCE;
+    let end = event.distance - event.front - COIN_CLEARANCE;
+
+    // The jump is centred on the obstacle, so the trail stops before the take-off point
+    const jumpLength = event.lanes[toLane] === 'jump' ? moves.jump * worldSpeed : 0;
+    const takeOff = event.distance - jumpLength / 2;
+    if (jumpLength > 0) end = Math.min(end, takeOff - FORMATION_COIN_SPACING);
+
+    // Diagonal line from the old lane to the new one, as fast as the player can switch
+    if (fromLane !== toLane) {
+      const length = (Math.abs(toLane - fromLane) * moves.laneChange + REACTION_TIME) * worldSpeed;
+      for (let along = 0; along <= length && start + along <= end; along += FORMATION_COIN_SPACING) {
+        placeCoin(fromLane + ((toLane - fromLane) * along) / length, start + along);
+      }
+      start += length;
+    }
+
+    // Snap to the course grid so trails never bunch up across chunks
+    let distance = Math.ceil((courseStart + start) / COIN_SPACING) * COIN_SPACING - courseStart;
+    for (let count = 0; distance <= end && count < MAX_TRAIL_COINS; count++) {
+      placeCoin(toLane, distance);
+      distance += COIN_SPACING;
+    }
+
+    // Jump arc, cut short where it would run into the obstacles before or after this one
+    if (jumpLength > 0) {
+      const limit = next ? next.event.distance - next.event.front - COIN_CLEARANCE : Infinity;
+      for (let along = 0; along <= jumpLength && takeOff + along <= limit; along += FORMATION_COIN_SPACING) {
+        if (takeOff + along < edge + COIN_CLEARANCE) continue;
+
+        const time = along / worldSpeed;
+        placeCoin(toLane, takeOff + along, moves.jumpVelocity * time + (moves.gravity * time * time) / 2);
+      }
+    }
+  });
+
+  return coins;
+}
+
+/**
+ * Generates the next passable chunk of obstacles and its coin formations.
+ * @param {Object} random - Seeded generator from Random.js.
+ * @param {Object} context
+ * @param {number} context.laneCount - Number of lanes.
+ * @param {Object} context.entry - `{ lanes, edge, lastCoin }` the previous chunk exited
+ *   with: reachable lane indices mapped to seconds until a jump or slide is possible, and
+ *   the far edge of the last obstacle and position of the last coin relative to the chunk start.
+ * @param {number} context.worldSpeed - World units per second the chunk is checked at.
+ * @param {number} context.spacing - Current barrier spacing in world units.
+ * @param {Object} context.obstacleWeights - Obstacle type weights of the difficulty tier.
+ * @param {Object} context.hitboxes - Obstacle hitboxes of the run by type id.
+ * @param {Object} context.moves - Player `depth` (hitbox length), `jump`, `slide` and `laneChange` times in seconds,
+ *   and the `jumpVelocity` and `gravity` that shape jump arcs.
+ * @param {number} context.courseStart - Course position of the chunk start, for the coin grid.
+ * @returns {Object} - `{ pattern, rows, coins, length, exit }`. Rows are `{ distance, obstacles }`
+ *   and coins `{ lane, distance, height }`, with distances ahead of the chunk start. Coin
+ *   lanes are fractional along diagonal lines; height is added to the usual coin height.
+ */
+export function generateChunk(random, context) {
+  const pattern = random.weighted(PATTERN_WEIGHTS);
+  const rows = instantiatePattern(PATTERNS[pattern], random, context);
+
+  for (let stretch = 0; stretch <= MAX_STRETCHES; stretch++) {
+    const route = findRoute(getArrivalEvents(rows, context.worldSpeed, context.hitboxes), context);
+
+    if (route) {
+      let distance = 0;
+      const placedRows = rows.map(({ gap, obstacles }) => {
+        distance += gap;
+        return { distance, obstacles };
+      });
+
+      const coins = layCoinFormations(route, random, context);
+      const lastCoin = coins.length > 0 ? coins[coins.length - 1].distance : context.entry.lastCoin;
+
+      return {
+        pattern,
+        rows: placedRows,
+        coins,
+        length: distance,
+        exit: { lanes: route.lanes, edge: route.edge - distance, lastCoin: lastCoin - distance },
+      };
+    }
+
+    // Too tight at this speed, give the player more room
+    rows.forEach((row) => {
+      row.gap *= STRETCH_FACTOR;
+    });
+  }
+
+  throw new Error(`Obstacle pattern "${pattern}" has no route through it`);
+}
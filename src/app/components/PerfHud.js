@@ -0,0 +1,69 @@
+'use client'; // Enables client-side rendering for Next.js
+import React, { useEffect, useRef } from 'react';
+
+const HUD_REFRESH_MS = 250; // How often the readout is redrawn
+
+// Downloads the monitor's frame-time trace as a JSON file
+function exportTrace(monitor) {
+  const trace = monitor.getTrace();
+  const blob = new Blob([JSON.stringify(trace, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `streetrun-trace-${trace.startedAt.replace(/[:.]/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Performance HUD. Reads the monitor on a timer and writes straight into the DOM, so
+ * the game's frame rate never causes React re-renders.
+ * @param {Object} props
+ * @param {Object} props.monitorRef - Ref holding the monitor from Performance.js.
+ */
+export default function PerfHud({ monitorRef }) {
+  const readoutRef = useRef(null);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const monitor = monitorRef.current;
+      if (!monitor || !readoutRef.current) return;
+
+      const stats = monitor.getStats();
+      readoutRef.current.textContent = [
+        `${stats.fps} fps  avg ${stats.average.toFixed(1)}ms`,
+        `p50 ${stats.p50.toFixed(1)}  p95 ${stats.p95.toFixed(1)}  p99 ${stats.p99.toFixed(1)}  max ${stats.max.toFixed(1)}`,
+        `draws ${stats.calls}  tris ${stats.triangles.toLocaleString()}`,
+        `geometries ${stats.geometries}  textures ${stats.textures}`,
+      ].join('\n');
+    }, HUD_REFRESH_MS);
+
+    return () => clearInterval(interval);
+  }, [monitorRef]);
+
+  return (
+    <div
+      style={{ zIndex: 60 }}
+      className="fixed bottom-4 right-4 p-2 bg-black bg-opacity-80 text-green-300 font-mono text-xs rounded-lg pointer-events-auto"
+    >
+      <pre ref={readoutRef} className="whitespace-pre">
+        Measuring...
+      </pre>
+      <div className="flex gap-2 mt-1">
+        <button
+          onClick={() => monitorRef.current && exportTrace(monitorRef.current)}
+          className="px-2 py-0.5 bg-gray-700 text-white rounded hover:bg-gray-600"
+        >
+          Export trace
+        </button>
+        <button
+          onClick={() => monitorRef.current && monitorRef.current.reset()}
+          className="px-2 py-0.5 bg-gray-700 text-white rounded hover:bg-gray-600"
+        >
+          Reset
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+// ./src/app/components/Performance.js
+//
+// Frame-time and renderer statistics for the performance HUD. GameCanvas records every
+// rendered frame; the HUD polls `getStats` a few times a second, so recording stays
+// cheap and nothing here touches React.
+
+export const STATS_WINDOW = 120; // Frames the live stats are computed over (2s at 60 fps)
+export const MAX_TRACE_FRAMES = 60 * 60 * 10; // Ten minutes at 60 fps, older frames are dropped
+
+// Value at fraction `p` (0..1) of an ascending list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Creates a performance monitor.
+ * @returns {Object} - `{ recordFrame, getStats, getTrace, reset }`.
+ */
+export function createPerformanceMonitor() {
+  let recent = []; // Frame times (ms) of the last STATS_WINDOW frames
+  let trace = []; // `{ time, frameTime, calls, triangles }` for every recorded frame
+  let startTime = 0;
+  let startedAt = null;
+  let renderInfo = { calls: 0, triangles: 0, geometries: 0, textures: 0 };
+
+  const reset = () => {
+    recent = [];
+    trace = [];
+    startTime = performance.now();
+    startedAt = new Date().toISOString();
+  };
+
+  /**
+   * Records one rendered frame.
+   * @param {number} frameTime - Real time since the previous frame in milliseconds.
+   * @param {Object} [info] - `renderer.info` read right after rendering the frame.
+   */
+  const recordFrame = (frameTime, info) => {
+    if (info) {
+      renderInfo = {
+        calls: info.render.calls,
+        triangles: info.render.triangles,
+        geometries: info.memory.geometries,
+        textures: info.memory.textures,
+      };
+    }
+
+    recent.push(frameTime);
+    if (recent.length > STATS_WINDOW) recent.shift();
+
+    trace.push({
+      time: Math.round(performance.now() - startTime),
+      frameTime: Number(frameTime.toFixed(2)),
+      calls: renderInfo.calls,
+      triangles: renderInfo.triangles,
+    });
+    if (trace.length > MAX_TRACE_FRAMES) trace.shift();
+  };
+
+  /**
+   * Summarizes the last STATS_WINDOW frames and the latest renderer counters.
+   * @returns {Object} - `fps`, frame time `average`, `p50`, `p95`, `p99` and `max` (ms), plus
+   *   `calls`, `triangles`, `geometries` and `textures`.
+   */
+  const getStats = () => {
+    const sorted = [...recent].sort((a, b) => a - b);
+    const average = sorted.length ? sorted.reduce((total, time) => total + time, 0) / sorted.length : 0;
+
+    return {
+      fps: average ? Math.round(1000 / average) : 0,
+      average,
+      p50: percentile(sorted, 0.5),
+      p95: percentile(sorted, 0.95),
+      p99: percentile(sorted, 0.99),
+      max: sorted.length ? sorted[sorted.length - 1] : 0,
+      ...renderInfo,
+    };
+  };
+
+  /**
+   * Returns the session's frame-time trace for export.
+   * @returns {Object} - Session start, summary stats and every recorded frame.
+   */
+  const getTrace = () => ({
+    startedAt,
+    userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+    frameCount: trace.length,
+    stats: getStats(),
+    frames: [...trace],
+  });
+
+  reset();
+
+  return { recordFrame, getStats, getTrace, reset };
+}
@@ -0,0 +1,62 @@
+// ./src/app/components/Placeholders.js
+//
+// Simple stand-ins built from primitives, drawn when a model file is missing so the
+// game stays playable.
+
+import * as THREE from 'three';
+import { LANE_DISTANCE, LANE_COUNT } from './Track';
+
+const ROAD_WIDTH = 40; // Fills the gap between the sidewalks
+const LINE_WIDTH = 0.15;
+
+/**
+ * Builds a capsule figure facing down the track, standing on the ground at its origin.
+ * @returns {THREE.Group} - The placeholder character.
+ */
+export function createPlaceholderCharacter() {
+  const group = new THREE.Group();
+  const body = new THREE.Mesh(
+    new THREE.CapsuleGeometry(0.4, 0.7, 4, 12),
+    new THREE.MeshStandardMaterial({ color: 0x3b82f6, roughness: 0.6 })
+  );
+  body.position.y = 0.75;
+  body.castShadow = true;
+  group.add(body);
+
+  // Visor on the front so lane changes and direction are readable
+  const visor = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.15, 0.2), new THREE.MeshStandardMaterial({ color: 0x111827 }));
+  visor.position.set(0, 1.15, -0.35);
+  group.add(visor);
+
+  return group;
+}
+
+/**
+ * Builds a flat road segment with lane lines, centred on the track. Like the road model
+ * it runs from its origin away from the camera (to -length), which is what the road
+ * recycling in Environment.js expects.
+ * @param {number} length - Segment length along Z.
+ * @returns {THREE.Group} - The placeholder road.
+ */
+export function createPlaceholderRoad(length) {
+  const group = new THREE.Group();
+  const asphalt = new THREE.Mesh(
+    new THREE.PlaneGeometry(ROAD_WIDTH, length),
+    new THREE.MeshStandardMaterial({ color: 0x3a3a3f, roughness: 0.95 })
+  );
+  asphalt.rotation.x = -Math.PI / 2;
+  asphalt.position.z = -length / 2;
+  asphalt.receiveShadow = true;
+  group.add(asphalt);
+
+  // Dividers between the lanes
+  const lineMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
+  for (let i = 1; i < LANE_COUNT; i++) {
+    const line = new THREE.Mesh(new THREE.PlaneGeometry(LINE_WIDTH, length), lineMaterial);
+    line.rotation.x = -Math.PI / 2;
+    line.position.set((i - LANE_COUNT / 2) * LANE_DISTANCE, 0.02, -length / 2);
+    group.add(line);
+  }
+
+  return group;
+}
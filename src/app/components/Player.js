@@ -1,112 +1,141 @@
 // Player.js
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { getCharacter, DEFAULT_CHARACTER } from './Characters';
+import { debugLog } from './Debug';
+import { getAsset, cloneAsset } from './Assets';
+import { createPlaceholderCharacter } from './Placeholders';
+
+const ANIMATION_HISTORY_LENGTH = 5;
+const PLACEHOLDER_SLIDE_SCALE = 0.5; // The placeholder has no roll animation, so it crouches instead
+const STUMBLE_FLASH_RATE = 10; // Visibility flips per second while invulnerable after a stumble
+const MAX_SLIDE_HEIGHT = 0.7; // Sliding hitbox height; must stay under the overhead bar whatever the model's size
 
 let mixer = null;
 let animations = {};
 let currentAnimation = null;
+let animationHistory = []; // Most recent game animation requests, newest first
 let player = null;
 
 /**
- * Initializes the player with a GLB model.
+ * Initializes the player from a character's GLB model, which must already be loaded
+ * (see Assets.js).
  * @param {THREE.Scene} scene - The scene to add the player to.
- * @returns {Promise<Object>} - A promise that resolves to the player object, its update function, mixer, and playAnimation function.
+ * @param {string} [characterId] - Id from the character registry in Characters.js.
+ * @param {Object} [options]
+ * @param {boolean} [options.placeholder=false] - Use a primitive stand-in if the model isn't loaded.
+ * @returns {Object} - The player object, its update function, mixer, playAnimation function, and
+ *   the hitbox measured from the model for `createSimulation` (null for the placeholder).
+ * @throws {Error} - If the character's model isn't loaded and no placeholder is allowed.
  */
-export function initPlayer(scene) {
-  const loader = new GLTFLoader();
-
-  return new Promise((resolve, reject) => {
-    loader.load(
-      '/items/cartoonboyanimated.glb',
-      (gltf) => {
-        player = gltf.scene;
-
-        // Set player properties
-        player.position.set(0, 0, 0);
-        player.scale.set(2, 2, 2);
-        player.rotation.y = Math.PI;
-
-        // Add shadows
-        player.traverse((node) => {
-          if (node.isMesh) {
-            node.castShadow = true;
-            node.receiveShadow = true;
-          }
-        });
-
-        // Initialize `userData`
-        player.userData = {
-          velocity: { x: 0, y: 0, z: 0 },
-          isJumping: false,
-          isSliding: false,
-        };
-
-        // Initialize animation mixer and load animations
-        mixer = new THREE.AnimationMixer(player);
-        gltf.animations.forEach((clip) => {
-          animations[clip.name.toLowerCase()] = mixer.clipAction(clip);
-          console.log(`Loaded animation: ${clip.name}`);
-        });
-
-        // Define playAnimation function inside initPlayer
-        const playAnimationFunc = (name) => {
-          if (!animations[name]) {
-            console.warn(`Animation "${name}" not found.`);
-            return;
-          }
-
-          if (currentAnimation) {
-            console.log(`Stopping animation: ${currentAnimation._clip.name}`);
-            currentAnimation.stop();
-          }
-
-          currentAnimation = animations[name];
-          currentAnimation.reset().play();
-          console.log(`Playing animation: ${name}`);
-        };
-
-        // Start with running animation
-        playAnimationFunc('run'); // ✅ Called after definition
-
-        // Add player to scene
-        scene.add(player);
-        console.log('Player added with animations.');
-
-        // Define playerUpdate function
-        const playerUpdate = (delta, gameState) => {
-          if (!player) return;
-
-          // Lane movement
-          const targetX = gameState.currentLane * gameState.laneDistance;
-          player.position.x += (targetX - player.position.x) * 0.1;
-
-          // Gravity and jumping logic
-          if (gameState.isJumping) {
-            player.userData.velocity.y += gameState.gravity;
-            player.position.y += player.userData.velocity.y;
-
-            if (player.position.y <= 0) {
-              player.position.y = 0;
-              gameState.isJumping = false;
-              player.userData.velocity.y = 0;
-              playAnimationFunc('run');
-            }
-          }
-
-          // Update animation mixer
-          if (mixer) mixer.update(delta);
-        };
-
-        // Resolve the promise with necessary references
-        resolve({ playerUpdate, player, mixer, playAnimation: playAnimationFunc });
-      },
-      undefined,
-      (error) => {
-        console.error('Error loading player model:', error);
-        reject(error);
-      }
-    );
+export function initPlayer(scene, characterId = DEFAULT_CHARACTER, { placeholder = false } = {}) {
+  const character = getCharacter(characterId) || getCharacter(DEFAULT_CHARACTER);
+  const gltf = getAsset(character.modelPath);
+  if (!gltf && !placeholder) throw new Error(`Could not load the ${character.name} model (${character.modelPath}).`);
+
+  player = gltf ? cloneAsset(character.modelPath) : createPlaceholderCharacter();
+  animations = {};
+  currentAnimation = null;
+  animationHistory = [];
+
+  // Set player properties (the placeholder is already built at world size, facing the track)
+  player.position.set(0, 0, 0);
+  if (gltf) {
+    player.scale.setScalar(character.scale);
+    player.rotation.y = character.rotationY;
+  }
+
+  // Add shadows
+  player.traverse((node) => {
+    if (node.isMesh) {
+      node.castShadow = true;
+      node.receiveShadow = true;
+    }
+  });
+
+  // Initialize `userData`
+  player.userData = {
+    velocity: { x: 0, y: 0, z: 0 },
+    isJumping: false,
+    isSliding: false,
+  };
+
+  // Initialize animation mixer and load animations
+  mixer = new THREE.AnimationMixer(player);
+  (gltf ? gltf.animations : []).forEach((clip) => {
+    animations[clip.name.toLowerCase()] = mixer.clipAction(clip);
+    debugLog(`Loaded animation: ${clip.name}`);
   });
-}
 
+  // Define playAnimation function inside initPlayer; `name` is a game animation (run, jump, roll)
+  const playAnimationFunc = (name) => {
+    const clipName = (character.animations[name] || name).toLowerCase();
+    animationHistory = [name, ...animationHistory].slice(0, ANIMATION_HISTORY_LENGTH);
+
+    if (!animations[clipName]) {
+      if (gltf) console.warn(`Animation "${name}" not found for ${character.name}.`);
+      return;
+    }
+
+    if (currentAnimation) {
+      debugLog(`Stopping animation: ${currentAnimation._clip.name}`);
+      currentAnimation.stop();
+    }
+
+    currentAnimation = animations[clipName];
+    currentAnimation.reset().play();
+    debugLog(`Playing animation: ${name}`);
+  };
+
+  // Start with running animation
+  playAnimationFunc('run'); // ✅ Called after definition
+
+  // Measure the running pose (skinned vertices included) for the player's hitbox
+  let hitbox = null;
+  if (gltf) {
+    mixer.update(0);
+    player.updateMatrixWorld(true); // Bones too, for the skinned vertex positions
+    const size = new THREE.Box3().setFromObject(player, true).getSize(new THREE.Vector3());
+    hitbox = {
+      halfWidth: size.x / 2,
+      height: size.y,
+      slideHeight: Math.min(MAX_SLIDE_HEIGHT, size.y),
+      halfDepth: size.z / 2,
+    };
+  }
+
+  // Add player to scene
+  scene.add(player);
+  debugLog('Player added with animations.');
+
+  // Define playerUpdate function: mirrors the simulated player and advances animations
+  const playerUpdate = (delta, simPlayer) => {
+    if (!player) return;
+
+    player.position.set(simPlayer.x, simPlayer.y, simPlayer.z);
+    if (!gltf) player.scale.y = simPlayer.isSliding ? PLACEHOLDER_SLIDE_SCALE : 1;
+
+    // Flash while invulnerable after a stumble
+    player.visible = simPlayer.stumbleTimer <= 0 || Math.floor(simPlayer.stumbleTimer * STUMBLE_FLASH_RATE) % 2 === 0;
+
+    // Update animation mixer
+    if (mixer) mixer.update(delta);
+  };
+
+  // Return the player and the functions GameCanvas drives it with
+  return { playerUpdate, player, mixer, playAnimation: playAnimationFunc, hitbox };
+}
 
+/**
+ * Describes the player's animations for the debug overlay.
+ * @returns {{ current: (string|null), running: string[], history: string[] }} - Playing clip,
+ *   every running clip and the latest animation requests (newest first).
+ */
+export function getAnimationState() {
+  return {
+    current: currentAnimation ? currentAnimation.getClip().name : null,
+    running: Object.entries(animations)
+      .filter(([, action]) => action.isRunning())
+      .map(([name]) => name),
+    history: [...animationHistory],
+  };
+}
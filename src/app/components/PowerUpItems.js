@@ -0,0 +1,128 @@
+import * as THREE from 'three';
+import { POWER_UP_TYPES } from './PowerUps';
+
+// Power-up pickup meshes currently in the scene (the rules live in PowerUps.js and Simulation.js)
+export const powerUpItems = [];
+
+// Effect meshes attached to the player, keyed by power-up type
+let playerEffects = {};
+
+const PICKUP_SPIN_SPEED = 2; // Radians per second
+const EFFECT_FLASH_TIME = 2; // Effects flash during their last seconds
+
+// Shared geometry for every pickup; each type gets its own glowing material
+const pickupGeometry = new THREE.OctahedronGeometry(0.6);
+const pickupMaterials = {};
+
+function getPickupMaterial(type) {
+  if (!pickupMaterials[type]) {
+    const { color } = POWER_UP_TYPES[type];
+    pickupMaterials[type] = new THREE.MeshStandardMaterial({ color, emissive: color, emissiveIntensity: 0.6 });
+  }
+  return pickupMaterials[type];
+}
+
+/**
+ * Makes the pickup meshes match the simulated power-ups and spins them.
+ * @param {THREE.Scene} scene - The Three.js scene object.
+ * @param {Object[]} simPowerUps - `state.powerUps` from the simulation.
+ * @param {number} delta - Step length in seconds.
+ */
+export function syncPowerUpItems(scene, simPowerUps, delta) {
+  const ids = new Set(simPowerUps.map((powerUp) => powerUp.id));
+
+  // Remove meshes for collected or despawned pickups
+  for (let i = powerUpItems.length - 1; i >= 0; i--) {
+    if (!ids.has(powerUpItems[i].userData.entityId)) {
+      scene.remove(powerUpItems[i]);
+      powerUpItems.splice(i, 1);
+    }
+  }
+
+  simPowerUps.forEach((simPowerUp) => {
+    let item = powerUpItems.find((mesh) => mesh.userData.entityId === simPowerUp.id);
+
+    if (!item) {
+      item = new THREE.Mesh(pickupGeometry, getPickupMaterial(simPowerUp.type));
+      item.castShadow = true;
+      item.userData.entityId = simPowerUp.id;
+      scene.add(item);
+      powerUpItems.push(item);
+    }
+
+    item.rotation.y += PICKUP_SPIN_SPEED * delta;
+    item.position.set(simPowerUp.x, simPowerUp.y, simPowerUp.z);
+  });
+}
+
+/**
+ * Attaches the (initially hidden) power-up effects to the player model.
+ * @param {THREE.Object3D} player - The player object.
+ */
+export function initPlayerEffects(player) {
+  const translucent = (color, opacity) =>
+    new THREE.MeshStandardMaterial({ color, emissive: color, transparent: true, opacity, depthWrite: false });
+
+  // Bubble around the whole body
+  const shield = new THREE.Mesh(new THREE.SphereGeometry(1.4, 24, 16), translucent(POWER_UP_TYPES.shield.color, 0.3));
+  shield.position.y = 1.2;
+
+  // Spinning ring around the waist
+  const magnet = new THREE.Mesh(new THREE.TorusGeometry(1.1, 0.06, 8, 32), translucent(POWER_UP_TYPES.magnet.color, 0.8));
+  magnet.position.y = 1;
+  magnet.rotation.x = Math.PI / 2;
+
+  // Glowing disc at the feet
+  const doubler = new THREE.Mesh(new THREE.RingGeometry(0.6, 1.2, 32), translucent(POWER_UP_TYPES.doubler.color, 0.6));
+  doubler.position.y = 0.05;
+  doubler.rotation.x = -Math.PI / 2;
+
+  playerEffects = { shield, magnet, doubler };
+
+  Object.values(playerEffects).forEach((effect) => {
+    // Children inherit the model's scale, so undo it to size effects in world units
+    effect.scale.divideScalar(player.scale.x);
+    effect.position.divideScalar(player.scale.x);
+    effect.visible = false;
+    player.add(effect);
+  });
+}
+
+/**
+ * Shows the effects of active power-ups on the player, flashing when they are about to run out.
+ * @param {Object} activePowerUps - Seconds left per power-up type.
+ * @param {number} time - Simulation time in seconds, used for the flash.
+ * @param {number} delta - Step length in seconds.
+ */
+export function syncPlayerEffects(activePowerUps, time, delta) {
+  Object.entries(playerEffects).forEach(([type, effect]) => {
+    const remaining = activePowerUps[type];
+    const flashing = remaining < EFFECT_FLASH_TIME && Math.floor(time * 8) % 2 === 0;
+    effect.visible = remaining > 0 && !flashing;
+  });
+
+  if (playerEffects.magnet) {
+    playerEffects.magnet.rotation.z += 4 * delta;
+  }
+}
+
+/**
+ * Removes all pickup meshes and player effects and frees their GPU resources.
+ * @param {THREE.Scene} scene - The Three.js scene object.
+ */
+export function disposePowerUpItems(scene) {
+  powerUpItems.forEach((item) => scene.remove(item));
+  powerUpItems.length = 0;
+
+  Object.values(playerEffects).forEach((effect) => {
+    effect.removeFromParent();
+    effect.geometry.dispose();
+    effect.material.dispose();
+  });
+  playerEffects = {};
+
+  Object.keys(pickupMaterials).forEach((type) => {
+    pickupMaterials[type].dispose();
+    delete pickupMaterials[type];
+  });
+}
@@ -0,0 +1,88 @@
+// ./src/app/components/PowerUps.js
+
+// Power-up catalog. Durations are in seconds; `color` is used for the pickup and player effect.
+export const POWER_UP_TYPES = {
+  magnet: { id: 'magnet', label: 'Magnet', duration: 10, color: 0xff3b3b },
+  shield: { id: 'shield', label: 'Shield', duration: 15, color: 0x3bb4ff },
+  doubler: { id: 'doubler', label: '2x Score', duration: 10, color: 0xffd23b },
+};
+
+export const POWER_UP_HEIGHT = 1.2;
+export const POWER_UP_SPAWN_Z = -200; // Spawned far enough ahead to be seen coming
+export const MIN_POWER_UP_GAP = 350; // World units between power-up spawns
+export const MAX_POWER_UP_GAP = 600;
+export const MAGNET_RANGE = 40; // Coins this far ahead of the player are pulled in
+const MAGNET_PULL_PER_FRAME = 0.15; // Fraction of the remaining gap closed per 60 Hz frame
+export const SCORE_BOOST = 2;
+
+/**
+ * Returns the power-up fields of a fresh run, to be spread into the simulation state.
+ * @returns {Object} - No active power-ups, first spawn one gap away.
+ */
+export function createPowerUpState() {
+  return {
+    powerUps: [], // Pickups on the track
+    activePowerUps: { magnet: 0, shield: 0, doubler: 0 }, // Seconds left per type
+    scoreBoost: 1,
+    distanceToPowerUp: MIN_POWER_UP_GAP,
+  };
+}
+
+/**
+ * Starts (or refreshes) a power-up's timer.
+ * @param {Object} state - Simulation state (mutated in place).
+ * @param {string} type - Power-up id.
+ */
+export function activatePowerUp(state, type) {
+  state.activePowerUps[type] = POWER_UP_TYPES[type].duration;
+  if (type === 'doubler') state.scoreBoost = SCORE_BOOST;
+}
+
+/**
+ * Counts down active power-ups and pushes a `powerUpEnd` event for each that runs out.
+ * @param {Object} state - Simulation state (mutated in place).
+ * @param {number} delta - Step length in seconds.
+ * @param {Object[]} events - Event list for this step.
+ */
+export function tickPowerUps(state, delta, events) {
+  Object.keys(state.activePowerUps).forEach((type) => {
+    if (state.activePowerUps[type] <= 0) return;
+
+    state.activePowerUps[type] = Math.max(state.activePowerUps[type] - delta, 0);
+    if (state.activePowerUps[type] === 0) {
+      if (type === 'doubler') state.scoreBoost = 1;
+      events.push({ type: 'powerUpEnd', powerUp: type });
+    }
+  });
+}
+
+/**
+ * Uses up an active shield to absorb a hit.
+ * @param {Object} state - Simulation state (mutated in place).
+ * @returns {boolean} - True if a shield absorbed the hit.
+ */
+export function consumeShield(state) {
+  if (state.activePowerUps.shield <= 0) return false;
+
+  state.activePowerUps.shield = 0;
+  return true;
+}
+
+/**
+ * Pulls coins in front of the player towards them while the magnet is active.
+ * @param {Object} state - Simulation state (coins are mutated in place).
+ * @param {number} delta - Step length in seconds.
+ */
+export function applyMagnet(state, delta) {
+  if (state.activePowerUps.magnet <= 0) return;
+
+  const { player } = state;
+  const pull = 1 - Math.pow(1 - MAGNET_PULL_PER_FRAME, delta * 60);
+
+  state.coins.forEach((coin) => {
+    if (coin.z < player.z - MAGNET_RANGE || coin.z > player.z + 1) return;
+
+    coin.x += (player.x - coin.x) * pull;
+    coin.y += (player.y + POWER_UP_HEIGHT - coin.y) * pull;
+  });
+}
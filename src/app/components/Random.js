@@ -0,0 +1,70 @@
+// ./src/app/components/Random.js
+
+/**
+ * Hashes a string (or number) into a 32-bit unsigned seed.
+ * @param {string|number} value - Seed text, e.g. "2026-10-19" or "12345".
+ * @returns {number} - 32-bit unsigned integer seed.
+ */
+export function hashSeed(value) {
+  const text = String(value);
+  let hash = 2166136261; // FNV-1a offset basis
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Returns the shared seed for a day's "Daily Run". Uses the UTC date so everyone
+ * on the team gets the same course regardless of time zone.
+ * @param {Date} [date] - Day to get the seed for (defaults to today).
+ * @returns {string} - Seed such as "daily-2026-10-19".
+ */
+export function getDailySeed(date = new Date()) {
+  return `daily-${date.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32). The same seed always
+ * produces the same sequence, which keeps simulated runs reproducible.
+ * @param {string|number} seed - Numbers (or digit-only strings, as read from a URL) are
+ *   used as-is, anything else is hashed.
+ * @returns {Object} - Generator with `next`, `range`, `int`, `pick`, `weighted` and `getState`.
+ */
+export function createRandom(seed) {
+  const isNumeric = typeof seed === 'number' || /^\d+$/.test(String(seed));
+  let state = isNumeric ? Number(seed) >>> 0 : hashSeed(seed);
+
+  // Float in [0, 1)
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    // Float in [min, max)
+    range: (min, max) => min + next() * (max - min),
+    // Integer in [0, count)
+    int: (count) => Math.floor(next() * count),
+    // Random element of an array
+    pick: (items) => items[Math.floor(next() * items.length)],
+    // Random key of a `{ key: weight }` object, proportional to its weight
+    weighted: (weights) => {
+      const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+      let roll = next() * entries.reduce((total, [, weight]) => total + weight, 0);
+      for (const [key, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return key;
+      }
+      return entries[entries.length - 1][0];
+    },
+    getState: () => state,
+  };
+}
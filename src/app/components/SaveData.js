@@ -0,0 +1,141 @@
+// ./src/app/components/SaveData.js
+
+import { getCharacter, DEFAULT_CHARACTER } from './Characters';
+
+// Local save game: best results, totals and recent runs per character
+export const SAVE_KEY = 'streetrun:save';
+export const SAVE_VERSION = 1;
+export const MAX_RUN_HISTORY = 10;
+
+// Fresh per-character stats
+function createCharacterStats() {
+  return {
+    bestScore: 0,
+    bestDistance: 0,
+    totalCoins: 0,
+    runCount: 0,
+    runs: [], // Most recent first
+  };
+}
+
+function createSave() {
+  return { version: SAVE_VERSION, playerName: '', lastCharacter: null, characters: {} };
+}
+
+/**
+ * Reads the save from local storage.
+ * @returns {Object} - The save, or an empty one if nothing is stored or it can't be read.
+ */
+export function loadSave() {
+  if (typeof window === 'undefined') return createSave();
+
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SAVE_KEY));
+    if (stored && stored.version === SAVE_VERSION && stored.characters) {
+      return stored;
+    }
+  } catch (error) {
+    console.warn('Could not read save data:', error);
+  }
+
+  return createSave();
+}
+
+function writeSave(save) {
+  try {
+    window.localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+  } catch (error) {
+    console.warn('Could not write save data:', error);
+  }
+}
+
+/**
+ * Returns the name used for leaderboard submissions.
+ * @returns {string} - The player's name, or an empty string if not set.
+ */
+export function getPlayerName() {
+  return loadSave().playerName || '';
+}
+
+/**
+ * Stores the name used for leaderboard submissions.
+ * @param {string} name - The player's name.
+ */
+export function setPlayerName(name) {
+  const save = loadSave();
+  save.playerName = name;
+  writeSave(save);
+}
+
+/**
+ * Returns the character picked or played most recently, e.g. for the Daily Run.
+ * @returns {string} - Character id, or the default character if none was picked yet.
+ */
+export function getLastCharacter() {
+  const { lastCharacter } = loadSave();
+  return getCharacter(lastCharacter) ? lastCharacter : DEFAULT_CHARACTER;
+}
+
+/**
+ * Remembers the character picked or played most recently.
+ * @param {string} characterId - Character id from Characters.js.
+ */
+export function setLastCharacter(characterId) {
+  const save = loadSave();
+  save.lastCharacter = characterId;
+  writeSave(save);
+}
+
+/**
+ * Returns the stats for one character.
+ * @param {string} characterId - Character id from Characters.js.
+ * @param {Object} [save] - Save to read from (loaded if omitted).
+ * @returns {Object} - Best score, best distance, total coins, run count and recent runs.
+ */
+export function getCharacterStats(characterId, save = loadSave()) {
+  return save.characters[characterId] || createCharacterStats();
+}
+
+/**
+ * Records a finished run and updates the character's bests and totals. A run recorded
+ * again with the same `id` (it went on after a revive) replaces its earlier entry.
+ * @param {string} characterId - Character id from Characters.js.
+ * @param {Object} run - `{ id, score, distance, coins, difficulty, seed }` of the finished run.
+ * @returns {{ isNewBestScore: boolean, isNewBestDistance: boolean, stats: Object }} - What changed.
+ */
+export function recordRun(characterId, run) {
+  const save = loadSave();
+  const stats = getCharacterStats(characterId, save);
+  const distance = Math.floor(run.distance);
+  const previous = run.id !== undefined ? stats.runs.find((entry) => entry.id === run.id) : undefined;
+
+  const isNewBestScore = run.score > stats.bestScore;
+  const isNewBestDistance = distance > stats.bestDistance;
+
+  stats.bestScore = Math.max(stats.bestScore, run.score);
+  stats.bestDistance = Math.max(stats.bestDistance, distance);
+  stats.totalCoins += run.coins - (previous ? previous.coins : 0);
+
+  const entry = {
+    id: run.id,
+    score: run.score,
+    distance,
+    coins: run.coins,
+    difficulty: run.difficulty,
+    seed: String(run.seed),
+    date: previous ? previous.date : new Date().toISOString(),
+  };
+
+  if (previous) {
+    stats.runs = stats.runs.map((stored) => (stored === previous ? entry : stored));
+  } else {
+    stats.runCount++;
+    stats.runs = [entry, ...stats.runs].slice(0, MAX_RUN_HISTORY);
+  }
+
+  save.characters[characterId] = stats;
+  save.lastCharacter = characterId;
+  writeSave(save);
+
+  return { isNewBestScore, isNewBestDistance, stats };
+}
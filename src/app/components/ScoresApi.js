@@ -0,0 +1,78 @@
+// ./src/app/components/ScoresApi.js
+
+// Client helpers for the /api/scores route handlers
+
+/**
+ * Submits a finished run to the team leaderboard.
+ * @param {Object} run - `{ name, character, difficulty, seed, score, coins, distance, duration }`.
+ * @returns {Promise<Object|null>} - The stored entry with the `editToken` that lets this client
+ *   update it, or null if the server rejected it.
+ */
+export async function submitScore(run) {
+  try {
+    const response = await fetch('/api/scores', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...run, seed: String(run.seed) }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.warn('Score was not accepted:', data);
+      return null;
+    }
+    return data.score;
+  } catch (error) {
+    console.warn('Error submitting score:', error);
+    return null;
+  }
+}
+
+/**
+ * Updates a submitted run that went on after a revive. The name stays the one submitted.
+ * @param {Object} entry - `{ id, editToken }` of the entry `submitScore` returned.
+ * @param {Object} run - The run so far, in the same shape as for `submitScore`.
+ * @returns {Promise<Object|null>} - The updated entry, or null if the server rejected it.
+ */
+export async function updateScore({ id, editToken }, run) {
+  try {
+    const response = await fetch('/api/scores', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...run, id, editToken, seed: String(run.seed) }),
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      console.warn('Score update was not accepted:', data);
+      return null;
+    }
+    return data.score;
+  } catch (error) {
+    console.warn('Error updating score:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetches the top scores, optionally for one seed, UTC day and/or difficulty.
+ * @param {Object} [query] - `{ seed, day, difficulty, limit }`.
+ * @returns {Promise<Object[]>} - Entries, highest score first (empty on failure).
+ */
+export async function fetchTopScores({ seed, day, difficulty, limit } = {}) {
+  const params = new URLSearchParams();
+  if (seed !== undefined) params.set('seed', seed);
+  if (day !== undefined) params.set('day', day);
+  if (difficulty !== undefined) params.set('difficulty', difficulty);
+  if (limit !== undefined) params.set('limit', String(limit));
+
+  try {
+    const response = await fetch(`/api/scores?${params}`);
+    if (!response.ok) return [];
+    const data = await response.json();
+    return data.scores;
+  } catch (error) {
+    console.warn('Error fetching scores:', error);
+    return [];
+  }
+}
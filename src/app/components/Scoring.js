@@ -0,0 +1,89 @@
+// ./src/app/components/Scoring.js
+
+// Points awarded per world unit travelled
+export const POINTS_PER_UNIT = 1;
+// Base value of a single coin before the multiplier is applied
+export const COIN_VALUE = 10;
+// Streak progress needed to gain one multiplier step
+export const STREAK_PER_MULTIPLIER = 10;
+// Streak progress awarded for a close dodge (a coin counts as 1)
+export const NEAR_MISS_STREAK = 3;
+export const MAX_MULTIPLIER = 10;
+
+/**
+ * Returns the scoring fields of a fresh run, to be spread into the game state.
+ * @returns {Object} - Zeroed scoring fields.
+ */
+export function createScoreState() {
+  return {
+    score: 0,
+    distance: 0,
+    distancePoints: 0, // Unrounded distance points (boosts make this differ from distance)
+    distanceScore: 0,
+    coinScore: 0,
+    multiplier: 1,
+    streak: 0,
+    nearMisses: 0,
+  };
+}
+
+// Recomputes the total score from its parts
+function updateTotal(gameState) {
+  gameState.score = gameState.distanceScore + gameState.coinScore;
+}
+
+// Advances the streak and bumps the multiplier every STREAK_PER_MULTIPLIER points
+function addStreak(gameState, amount) {
+  gameState.streak += amount;
+
+  while (gameState.streak >= STREAK_PER_MULTIPLIER) {
+    gameState.streak -= STREAK_PER_MULTIPLIER;
+    gameState.multiplier = Math.min(gameState.multiplier + 1, MAX_MULTIPLIER);
+  }
+}
+
+// Score boost from power-ups (1 when none is active)
+function getBoost(gameState) {
+  return gameState.scoreBoost || 1;
+}
+
+/**
+ * Awards points for distance travelled.
+ * @param {Object} gameState - The current game state (mutated in place).
+ * @param {number} distance - World units travelled since the last call.
+ */
+export function addDistance(gameState, distance) {
+  gameState.distance += distance;
+  gameState.distancePoints += distance * POINTS_PER_UNIT * getBoost(gameState);
+  gameState.distanceScore = Math.floor(gameState.distancePoints);
+  updateTotal(gameState);
+}
+
+/**
+ * Registers a collected coin: counts it, scores it at the current multiplier and extends the streak.
+ * @param {Object} gameState - The current game state (mutated in place).
+ */
+export function registerCoin(gameState) {
+  gameState.coinCount++;
+  gameState.coinScore += COIN_VALUE * gameState.multiplier * getBoost(gameState);
+  addStreak(gameState, 1);
+  updateTotal(gameState);
+}
+
+/**
+ * Registers a coin that passed the player uncollected, which breaks the streak.
+ * The multiplier already earned is kept.
+ * @param {Object} gameState - The current game state (mutated in place).
+ */
+export function registerMissedCoin(gameState) {
+  gameState.streak = 0;
+}
+
+/**
+ * Registers a barrier that was dodged closely (adjacent lane, jumped over or slid under).
+ * @param {Object} gameState - The current game state (mutated in place).
+ */
+export function registerNearMiss(gameState) {
+  gameState.nearMisses++;
+  addStreak(gameState, NEAR_MISS_STREAK);
+}
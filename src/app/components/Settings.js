@@ -0,0 +1,63 @@
+// ./src/app/components/Settings.js
+
+import { DEFAULT_QUALITY } from './Graphics';
+import { DEFAULT_CAMERA_MODE } from './Camera';
+import { DEFAULT_KEY_BINDINGS, DEFAULT_GAMEPAD_BINDINGS } from './Input';
+
+// Player preferences, kept separately from the save game so resetting one doesn't touch the other
+export const SETTINGS_KEY = 'streetrun:settings';
+
+// How touch input works: swipes anywhere, or on-screen buttons (the keyboard always works)
+export const CONTROL_SCHEMES = {
+  swipe: { id: 'swipe', label: 'Swipe' },
+  buttons: { id: 'buttons', label: 'Buttons' },
+};
+
+// Swipe distance in pixels before a drag counts; lower is more sensitive
+export const MIN_SWIPE_THRESHOLD = 10;
+export const MAX_SWIPE_THRESHOLD = 80;
+
+export const DEFAULT_SETTINGS = {
+  musicVolume: 0.6, // 0..1
+  sfxVolume: 0.8, // 0..1
+  muted: false,
+  controlScheme: 'swipe',
+  swipeThreshold: 30,
+  keyBindings: DEFAULT_KEY_BINDINGS, // Action id to key codes, see Input.js
+  gamepadBindings: DEFAULT_GAMEPAD_BINDINGS, // Action id to gamepad button indexes
+  cameraMode: DEFAULT_CAMERA_MODE,
+  graphicsQuality: DEFAULT_QUALITY,
+};
+
+/**
+ * Reads the settings from local storage.
+ * @returns {Object} - Stored settings over the defaults.
+ */
+export function loadSettings() {
+  if (typeof window === 'undefined') return { ...DEFAULT_SETTINGS };
+
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_SETTINGS, ...(stored || {}) };
+  } catch (error) {
+    console.warn('Could not read settings:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Changes some settings and stores the result.
+ * @param {Object} changes - Settings to change.
+ * @returns {Object} - The full updated settings.
+ */
+export function saveSettings(changes) {
+  const settings = { ...loadSettings(), ...changes };
+
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not write settings:', error);
+  }
+
+  return settings;
+}
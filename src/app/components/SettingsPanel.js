@@ -0,0 +1,152 @@
+'use client'; // Enables client-side rendering for Next.js
+import React from 'react';
+import { XMarkIcon } from '@heroicons/react/24/solid';
+import { QUALITY_OPTIONS, QUALITY_PRESETS, AUTO_QUALITY } from './Graphics';
+import { CAMERA_MODES } from './Camera';
+import { CONTROL_SCHEMES, MIN_SWIPE_THRESHOLD, MAX_SWIPE_THRESHOLD } from './Settings';
+import BindingEditor from './BindingEditor';
+
+// Row of toggle buttons with the selected one highlighted
+function OptionButtons({ options, value, onSelect, columns = 'grid-cols-2' }) {
+  return (
+    <div className={`grid ${columns} gap-2`}>
+      {options.map((option) => (
+        <button
+          key={option.id}
+          onClick={() => onSelect(option.id)}
+          className={`px-3 py-2 rounded-lg font-bold ${
+            value === option.id ? 'bg-green-600' : 'bg-gray-700 hover:bg-gray-600'
+          }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Volume slider shown as a percentage
+function VolumeSlider({ label, value, disabled, onChange }) {
+  return (
+    <label className={`block ${disabled ? 'text-gray-500' : ''}`}>
+      {label} {Math.round(value * 100)}%
+      <input
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={value}
+        disabled={disabled}
+        onChange={(event) => onChange(Number(event.target.value))}
+        className="w-full"
+      />
+    </label>
+  );
+}
+
+/**
+ * Settings screen, opened from the home page and the pause menu. Every change is
+ * passed straight to `onChange`, which stores it and applies it to a running game.
+ * @param {Object} props
+ * @param {Object} props.settings - Current settings from Settings.js.
+ * @param {Function} props.onChange - Called with the settings to change.
+ * @param {Function} props.onClose - Closes the panel.
+ * @param {string} [props.activeQuality] - Preset the running game uses, shown next to Auto.
+ */
+export default function SettingsPanel({ settings, onChange, onClose, activeQuality }) {
+  return (
+    <div
+      style={{ zIndex: 70 }}
+      className="fixed inset-0 flex items-center justify-center bg-black bg-opacity-50 text-white pointer-events-auto"
+    >
+      <div className="w-96 max-w-full max-h-full overflow-y-auto p-4 bg-gray-800 rounded-lg shadow-lg space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold">Settings</h2>
+          <button onClick={onClose} aria-label="Close settings" className="p-1 rounded-full hover:bg-gray-700">
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Audio */}
+        <section className="space-y-2">
+          <h3 className="font-bold">Audio</h3>
+          <VolumeSlider
+            label="Music"
+            value={settings.musicVolume}
+            disabled={settings.muted}
+            onChange={(musicVolume) => onChange({ musicVolume })}
+          />
+          <VolumeSlider
+            label="Sound effects"
+            value={settings.sfxVolume}
+            disabled={settings.muted}
+            onChange={(sfxVolume) => onChange({ sfxVolume })}
+          />
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.muted}
+              onChange={(event) => onChange({ muted: event.target.checked })}
+            />
+            Mute all
+          </label>
+        </section>
+
+        {/* Controls */}
+        <section className="space-y-2">
+          <h3 className="font-bold">Touch Controls</h3>
+          <OptionButtons
+            options={Object.values(CONTROL_SCHEMES)}
+            value={settings.controlScheme}
+            onSelect={(controlScheme) => onChange({ controlScheme })}
+          />
+          {settings.controlScheme === CONTROL_SCHEMES.swipe.id && (
+            <label className="block">
+              Swipe distance {settings.swipeThreshold}px
+              <input
+                type="range"
+                min={MIN_SWIPE_THRESHOLD}
+                max={MAX_SWIPE_THRESHOLD}
+                step={5}
+                value={settings.swipeThreshold}
+                onChange={(event) => onChange({ swipeThreshold: Number(event.target.value) })}
+                className="w-full"
+              />
+            </label>
+          )}
+        </section>
+
+        {/* Key and gamepad bindings */}
+        <section className="space-y-2">
+          <h3 className="font-bold">Bindings</h3>
+          <BindingEditor settings={settings} onChange={onChange} />
+        </section>
+
+        {/* Camera */}
+        <section className="space-y-2">
+          <h3 className="font-bold">Camera</h3>
+          <OptionButtons
+            options={Object.values(CAMERA_MODES)}
+            value={settings.cameraMode}
+            onSelect={(cameraMode) => onChange({ cameraMode })}
+            columns="grid-cols-3"
+          />
+        </section>
+
+        {/* Graphics */}
+        <section className="space-y-2">
+          <h3 className="font-bold">Graphics Quality</h3>
+          <OptionButtons
+            options={QUALITY_OPTIONS}
+            value={settings.graphicsQuality}
+            onSelect={(graphicsQuality) => onChange({ graphicsQuality })}
+          />
+          {settings.graphicsQuality === AUTO_QUALITY && activeQuality && (
+            <p className="text-sm text-gray-300">Currently {QUALITY_PRESETS[activeQuality].label}</p>
+          )}
+          <p className="text-xs text-gray-400">Anti-aliasing changes apply from the next run.</p>
+        </section>
+      </div>
+    </div>
+  );
+}
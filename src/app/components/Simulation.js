@@ -0,0 +1,723 @@
+// ./src/app/components/Simulation.js
+//
+// Headless game rules: lanes, jumping, sliding, spawning, collisions and scoring.
+// Nothing in here touches Three.js scenes, React or the DOM, so a run can be
+// stepped in Node from a seed and an input list and always produce the same result.
+
+import { createRandom } from './Random';
+import { createScoreState, addDistance, registerCoin, registerMissedCoin, registerNearMiss } from './Scoring';
+import { createDifficultyState, updateDifficulty, getDifficulty, getSpeedAt } from './Difficulty';
+import { OBSTACLE_TYPES, getObstacleType } from './ObstacleTypes';
+import { LANE_COUNT, MIN_LANE, MAX_LANE, getLaneX } from './Track';
+import { generateChunk } from './Patterns';
+import { FIXED_TIMESTEP, WORLD_UNITS_PER_SPEED, getWorldSpeed } from './GameLoop';
+import {
+  POWER_UP_TYPES,
+  POWER_UP_HEIGHT,
+  POWER_UP_SPAWN_Z,
+  MIN_POWER_UP_GAP,
+  MAX_POWER_UP_GAP,
+  createPowerUpState,
+  activatePowerUp,
+  tickPowerUps,
+  consumeShield,
+  applyMagnet,
+} from './PowerUps';
+
+// Spawning
+export const FIRST_BARRIER_Z = -40; // Obstacle chunks start this far ahead
+export const RECYCLE_Z = 10; // Entities behind the camera past this Z are removed
+export const COIN_HEIGHT = 1.2;
+export const DEBUG_SPAWN_Z = -60; // Where obstacles spawned from the debug overlay appear
+const SPEED_LOOKAHEAD = 500; // Chunks are checked at the speed reached this far past their start
+
+// Player movement
+export const GRAVITY = -20; // Units/s²
+export const JUMP_VELOCITY = 8; // Units/s
+export const SLIDE_DURATION = 1.19; // Seconds, matches the roll animation
+const LANE_LERP_PER_FRAME = 0.1; // Fraction of remaining lane distance covered per 60 Hz frame
+export const INPUT_BUFFER_TIME = 0.15; // A jump or slide pressed this long before it's possible still happens
+export const FAST_FALL_VELOCITY = 25; // Units/s downwards after sliding mid-air or cancelling a jump
+export const JUMP_CANCEL_WINDOW = 0.1; // Seconds after take-off when a lane change cancels the jump
+
+// Lives and revives
+export const STUMBLE_DURATION = 2; // Seconds of invulnerability after a hit costs a life
+export const REVIVE_BASE_COST = 50; // Coins for the first revive; each further revive costs twice as much
+export const REVIVE_CLEAR_DISTANCE = 80; // Barriers up to this far ahead are cleared when reviving
+
+// Default hitboxes (offsets from the entity position), used where no model was measured
+export const PLAYER_HITBOX = { halfWidth: 0.5, height: 1.5, slideHeight: 0.7, halfDepth: 0.5 };
+export const COIN_HITBOX = { halfSize: 0.5 };
+export const POWER_UP_HITBOX = { halfSize: 0.6 };
+export const NEAR_MISS_WINDOW = 0.6; // Seconds before passing a barrier that leaving its lane counts as a near miss
+
+// What the pattern generator checks chunks against, in world units and seconds
+const PLAYER_MOVES = {
+  jump: (2 * JUMP_VELOCITY) / -GRAVITY, // Airtime
+  jumpVelocity: JUMP_VELOCITY,
+  gravity: GRAVITY,
+  slide: SLIDE_DURATION,
+  laneChange: Math.log(0.25) / Math.log(1 - LANE_LERP_PER_FRAME) / 60, // Covering 3/4 of a lane
+};
+
+export const ACTIONS = ['left', 'right', 'jump', 'slide'];
+
+/**
+ * Checks two axis-aligned boxes given as `{ min: {x,y,z}, max: {x,y,z} }` for overlap.
+ * @returns {boolean} - True when the boxes intersect.
+ */
+export function boxesIntersect(a, b) {
+  return (
+    a.min.x <= b.max.x && a.max.x >= b.min.x &&
+    a.min.y <= b.max.y && a.max.y >= b.min.y &&
+    a.min.z <= b.max.z && a.max.z >= b.min.z
+  );
+}
+
+/**
+ * Completes hitboxes measured from the loaded models with the defaults above and the
+ * obstacle catalog's. A run keeps its hitboxes in its state and replay, so the same seed
+ * and inputs play out the same whichever models were loaded.
+ * @param {Object} [measured] - `{ player, coin, obstacles: { [typeId]: hitbox } }`, every part optional.
+ * @returns {{ player: Object, coin: Object, powerUp: Object, obstacles: Object }} - Hitboxes for `createSimulation`.
+ */
+export function createHitboxes(measured = {}) {
+  const obstacles = {};
+  Object.values(OBSTACLE_TYPES).forEach((type) => {
+    obstacles[type.id] = { ...type.hitbox, ...measured.obstacles?.[type.id] };
+  });
+
+  return {
+    player: { ...PLAYER_HITBOX, ...measured.player },
+    coin: { ...COIN_HITBOX, ...measured.coin },
+    powerUp: { ...POWER_UP_HITBOX, ...measured.powerUp },
+    obstacles,
+  };
+}
+
+const DEFAULT_HITBOXES = createHitboxes();
+
+/**
+ * Returns the player moves the pattern generator checks chunks against.
+ * @param {Object} [hitboxes] - `state.hitboxes` of the run.
+ * @returns {Object} - `moves` for `generateChunk` (see Patterns.js).
+ */
+export function getPlayerMoves(hitboxes = DEFAULT_HITBOXES) {
+  return { ...PLAYER_MOVES, depth: hitboxes.player.halfDepth * 2 };
+}
+
+// An empty box in the `{ min, max }` shape boxesIntersect takes
+function createBox() {
+  return { min: { x: 0, y: 0, z: 0 }, max: { x: 0, y: 0, z: 0 } };
+}
+
+// Writes the corners of a box and returns it
+function setBox(box, minX, minY, minZ, maxX, maxY, maxZ) {
+  box.min.x = minX;
+  box.min.y = minY;
+  box.min.z = minZ;
+  box.max.x = maxX;
+  box.max.y = maxY;
+  box.max.z = maxZ;
+  return box;
+}
+
+/**
+ * Returns the player's collision box. Sliding lowers it so overhead obstacles pass above.
+ * @param {Object} player - Simulation player.
+ * @param {Object} [hitboxes] - `state.hitboxes` of the run.
+ * @param {Object} [box] - Box to fill in instead of allocating a new one.
+ */
+export function getPlayerBox(player, hitboxes = DEFAULT_HITBOXES, box = createBox()) {
+  const hitbox = hitboxes.player;
+  const height = player.isSliding ? hitbox.slideHeight : hitbox.height;
+
+  return setBox(
+    box,
+    player.x - hitbox.halfWidth, player.y, player.z - hitbox.halfDepth,
+    player.x + hitbox.halfWidth, player.y + height, player.z + hitbox.halfDepth
+  );
+}
+
+/**
+ * Returns a barrier's collision box from its obstacle type's hitbox.
+ * @param {Object} barrier - Simulation barrier.
+ * @param {Object} [hitboxes] - `state.hitboxes` of the run.
+ * @param {Object} [box] - Box to fill in instead of allocating a new one.
+ */
+export function getBarrierBox(barrier, hitboxes = DEFAULT_HITBOXES, box = createBox()) {
+  const hitbox = hitboxes.obstacles[barrier.type];
+
+  return setBox(
+    box,
+    barrier.x - hitbox.left, hitbox.bottom, barrier.z - hitbox.back,
+    barrier.x + hitbox.right, hitbox.top, barrier.z + hitbox.front
+  );
+}
+
+// Cube-shaped box around a point
+function getCubeBox(entity, size, box) {
+  return setBox(box, entity.x - size, entity.y - size, entity.z - size, entity.x + size, entity.y + size, entity.z + size);
+}
+
+/**
+ * Returns a coin's collision box.
+ * @param {Object} coin - Simulation coin.
+ * @param {Object} [hitboxes] - `state.hitboxes` of the run.
+ * @param {Object} [box] - Box to fill in instead of allocating a new one.
+ */
+export function getCoinBox(coin, hitboxes = DEFAULT_HITBOXES, box = createBox()) {
+  return getCubeBox(coin, hitboxes.coin.halfSize, box);
+}
+
+/**
+ * Returns a power-up pickup's collision box.
+ * @param {Object} powerUp - Simulation power-up pickup.
+ * @param {Object} [hitboxes] - `state.hitboxes` of the run.
+ * @param {Object} [box] - Box to fill in instead of allocating a new one.
+ */
+export function getPowerUpBox(powerUp, hitboxes = DEFAULT_HITBOXES, box = createBox()) {
+  return getCubeBox(powerUp, hitboxes.powerUp.halfSize, box);
+}
+
+// Collision boxes reused by every step, so checking hundreds of entities allocates nothing
+const playerBox = createBox();
+const entityBox = createBox();
+
+// Removes the entries of a list that fail a test, in place (no new array every step)
+function keepWhere(list, keep) {
+  let kept = 0;
+  for (let i = 0; i < list.length; i++) {
+    if (keep(list[i])) list[kept++] = list[i];
+  }
+  list.length = kept;
+}
+
+// Returns the type, lane and position fields for an obstacle
+function createObstacleFields(typeId, lane) {
+  return { type: getObstacleType(typeId).id, lane, x: getLaneX(lane), y: 0 };
+}
+
+// Adds the next obstacle chunk (and its coin formations) behind the last one
+function spawnChunk(state) {
+  const courseStart = state.distance - state.lastBarrierZ;
+  const chunk = generateChunk(state.random, {
+    laneCount: LANE_COUNT,
+    entry: state.route,
+    worldSpeed: getSpeedAt(state.difficulty, courseStart + SPEED_LOOKAHEAD) * WORLD_UNITS_PER_SPEED,
+    spacing: state.barrierSpacing,
+    obstacleWeights: getDifficulty(state.difficulty).obstacleWeights,
+    hitboxes: state.hitboxes.obstacles,
+    moves: getPlayerMoves(state.hitboxes),
+    courseStart,
+  });
+
+  chunk.rows.forEach((row) => {
+    row.obstacles.forEach(({ lane, type }) => {
+      const z = state.lastBarrierZ - row.distance;
+      state.barriers.push({ id: state.nextId++, ...createObstacleFields(type, lane + MIN_LANE), z, passed: false });
+    });
+  });
+
+  chunk.coins.forEach(({ lane, distance, height }) => {
+    const x = getLaneX(lane + MIN_LANE);
+    state.coins.push({ id: state.nextId++, x, y: COIN_HEIGHT + height, z: state.lastBarrierZ - distance, missed: false });
+  });
+
+  state.lastBarrierZ -= chunk.length;
+  state.route = chunk.exit;
+}
+
+/**
+ * Creates the state of a new run.
+ * @param {Object} [options]
+ * @param {string|number} [options.seed] - Seed for every random spawn in the run.
+ * @param {string} [options.difficulty] - Difficulty tier id.
+ * @param {Object} [options.hitboxes] - Hitboxes measured from the loaded models (see `createHitboxes`).
+ * @returns {Object} - Plain simulation state, advanced with `stepSimulation`.
+ */
+export function createSimulation({ seed = 0, difficulty, hitboxes } = {}) {
+  const state = {
+    seed,
+    hitboxes: createHitboxes(hitboxes),
+    random: createRandom(seed),
+    tick: 0,
+    time: 0,
+    active: true,
+    gravity: GRAVITY,
+    ...createDifficultyState(difficulty),
+    ...createScoreState(),
+    ...createPowerUpState(),
+    coinCount: 0,
+    coinsSpent: 0, // On revives; coinCount stays what was collected, as the score and leaderboard count it
+    revives: 0,
+    player: {
+      lane: 0,
+      x: 0,
+      y: 0,
+      z: 0,
+      velocityY: 0,
+      isJumping: false,
+      isSliding: false,
+      slideTimer: 0,
+      airTime: 0, // Seconds since take-off
+      fastFalling: false, // Slide pressed mid-air: drop and roll on landing
+      bufferedAction: null, // `{ action, timer }` waiting for the current move to finish
+      stumbleTimer: 0, // Seconds of invulnerability left after losing a life
+      previousLane: 0, // Lane before the last lane change
+      laneChangeAge: Infinity, // Seconds since the last lane change
+    },
+    barriers: [],
+    coins: [],
+    lastBarrierZ: FIRST_BARRIER_Z, // Z of the last obstacle row, where the next chunk starts
+    route: { lanes: { [-MIN_LANE]: 0 }, edge: FIRST_BARRIER_Z, lastCoin: -Infinity }, // Where the player can be after the last chunk
+    nextId: 1,
+    inputLog: [], // Every applied action with its tick, for replays
+    debug: { invincible: false, speedOverride: null, used: false }, // Dev overlay tools, see setDebugOptions
+  };
+
+  while (state.barriers.length < state.maxBarriers) {
+    spawnChunk(state);
+  }
+
+  return state;
+}
+
+// Starts a jump or slide, returning its event
+function startMove(player, action) {
+  if (action === 'jump') {
+    player.isJumping = true;
+    player.velocityY = JUMP_VELOCITY;
+    player.airTime = 0;
+    return { type: 'jump' };
+  }
+
+  player.isSliding = true;
+  player.slideTimer = SLIDE_DURATION;
+  return { type: 'slide' };
+}
+
+// Changes lane, cancelling a jump that has only just started
+function changeLane(player, lane, events) {
+  if (lane < MIN_LANE || lane > MAX_LANE) return;
+
+  player.previousLane = player.lane;
+  player.laneChangeAge = 0;
+  player.lane = lane;
+  events.push({ type: 'laneChange', lane });
+
+  if (player.isJumping && player.airTime < JUMP_CANCEL_WINDOW && player.velocityY > 0) {
+    player.velocityY = -FAST_FALL_VELOCITY; // Back down at once; `land` follows as usual
+    player.bufferedAction = null;
+    events.push({ type: 'jumpCancel' });
+  }
+}
+
+// Applies a single player action, adding the events it causes. A jump or slide that
+// isn't possible yet is buffered, except a slide mid-air, which fast-falls instead.
+function applyAction(state, action, events) {
+  const { player } = state;
+
+  switch (action) {
+    case 'left':
+      changeLane(player, player.lane - 1, events);
+      break;
+
+    case 'right':
+      changeLane(player, player.lane + 1, events);
+      break;
+
+    case 'jump':
+    case 'slide':
+      if (!player.isJumping && !player.isSliding) {
+        events.push(startMove(player, action));
+      } else if (action === 'slide' && player.isJumping && !player.fastFalling) {
+        player.fastFalling = true;
+        player.velocityY = Math.min(player.velocityY, -FAST_FALL_VELOCITY);
+        player.bufferedAction = null;
+        events.push({ type: 'fastFall' });
+      } else {
+        player.bufferedAction = { action, timer: INPUT_BUFFER_TIME };
+      }
+      break;
+
+    default:
+      break;
+  }
+}
+
+// Jump physics, slide and stumble timers and lane easing
+function updatePlayer(state, delta, events) {
+  const { player } = state;
+
+  player.laneChangeAge += delta;
+  if (player.stumbleTimer > 0) {
+    player.stumbleTimer = Math.max(player.stumbleTimer - delta, 0);
+  }
+
+  if (player.isJumping) {
+    player.y += player.velocityY * delta;
+    player.velocityY += state.gravity * delta;
+    player.airTime += delta;
+
+    // Check if player has landed
+    if (player.y <= 0) {
+      player.y = 0;
+      player.velocityY = 0;
+      player.isJumping = false;
+      events.push({ type: 'land' });
+
+      // A fast-fall lands straight into a roll
+      if (player.fastFalling) {
+        player.fastFalling = false;
+        events.push(startMove(player, 'slide'));
+      }
+    }
+  }
+
+  if (player.isSliding) {
+    player.slideTimer -= delta;
+    if (player.slideTimer <= 0) {
+      player.slideTimer = 0;
+      player.isSliding = false;
+      events.push({ type: 'slideEnd' });
+    }
+  }
+
+  // Fire a buffered jump or slide once the current move is over, if it is still fresh
+  if (player.bufferedAction) {
+    if (!player.isJumping && !player.isSliding) {
+      events.push(startMove(player, player.bufferedAction.action));
+      player.bufferedAction = null;
+    } else {
+      player.bufferedAction.timer -= delta;
+      if (player.bufferedAction.timer <= 0) player.bufferedAction = null;
+    }
+  }
+
+  const targetX = getLaneX(player.lane);
+  const laneBlend = 1 - Math.pow(1 - LANE_LERP_PER_FRAME, delta * 60); // Same easing at any step size
+  player.x += (targetX - player.x) * laneBlend;
+}
+
+// Barrier movement, removal, collisions and near misses
+function updateBarriers(state, distance, delta, events) {
+  const { player } = state;
+  getPlayerBox(player, state.hitboxes, playerBox);
+
+  // The spawn point scrolls with the world so chunks line up with what's already placed
+  state.lastBarrierZ += distance;
+
+  state.barriers.forEach((barrier) => {
+    barrier.z += distance;
+
+    // Vehicles pull out and drive towards the player once close enough
+    const type = getObstacleType(barrier.type);
+    if (type.speed && barrier.z > type.triggerZ) {
+      barrier.z += type.speed * delta;
+    }
+  });
+
+  // Drop barriers that moved out of view
+  keepWhere(state.barriers, (barrier) => barrier.z <= RECYCLE_Z);
+
+  for (let i = 0; i < state.barriers.length; i++) {
+    const barrier = state.barriers[i];
+
+    if (boxesIntersect(playerBox, getBarrierBox(barrier, state.hitboxes, entityBox))) {
+      // Invincibility from the debug overlay ignores every hit
+      if (state.debug.invincible) continue;
+
+      // Still recovering from a stumble: run straight through (and it's no near miss)
+      if (player.stumbleTimer > 0) {
+        barrier.passed = true;
+        continue;
+      }
+
+      // An active shield absorbs the hit and clears the barrier out of the way
+      if (consumeShield(state)) {
+        state.barriers.splice(i, 1);
+        i--; // The next barrier moved into this index
+        events.push({ type: 'shieldBreak', barrier });
+        events.push({ type: 'powerUpEnd', powerUp: 'shield' });
+        continue;
+      }
+
+      // Any life but the last turns the hit into a stumble
+      state.lives = Math.max(state.lives - 1, 0);
+      if (state.lives > 0) {
+        player.stumbleTimer = STUMBLE_DURATION;
+        barrier.passed = true;
+        events.push({ type: 'stumble', barrier, lives: state.lives });
+        continue;
+      }
+
+      state.active = false;
+      events.push({ type: 'collision', barrier });
+      return;
+    }
+
+    // Near miss detection once the barrier has passed the player
+    if (!barrier.passed && barrier.z > player.z) {
+      barrier.passed = true;
+
+      // Only barriers the player actually avoided: left their lane just before, or
+      // jumped or slid past them in the same lane
+      const inLane = barrier.lane === player.lane;
+      const dodgedSideways = !inLane && barrier.lane === player.previousLane && player.laneChangeAge <= NEAR_MISS_WINDOW;
+      const jumpedOver = inLane && player.y > 0;
+      const slidUnder = inLane && player.isSliding;
+      if (dodgedSideways || jumpedOver || slidUnder) {
+        registerNearMiss(state);
+        events.push({ type: 'nearMiss', barrier });
+      }
+    }
+  }
+}
+
+// Coin movement, collection, removal and missed-coin streak breaks
+function updateCoins(state, distance, events) {
+  const { player } = state;
+  getPlayerBox(player, state.hitboxes, playerBox);
+
+  keepWhere(state.coins, (coin) => {
+    coin.z += distance;
+
+    if (boxesIntersect(playerBox, getCoinBox(coin, state.hitboxes, entityBox))) {
+      registerCoin(state);
+      events.push({ type: 'coin', coin });
+      return false;
+    }
+
+    // A coin that gets behind the player uncollected breaks the streak
+    if (!coin.missed && coin.z > player.z + 1) {
+      coin.missed = true;
+      registerMissedCoin(state);
+    }
+
+    return coin.z <= RECYCLE_Z; // Coins are dropped once behind the camera
+  });
+}
+
+// Power-up pickup spawning, movement and collection
+function updatePowerUpPickups(state, distance, events) {
+  getPlayerBox(state.player, state.hitboxes, playerBox);
+
+  // Spawn a new pickup every few hundred units
+  state.distanceToPowerUp -= distance;
+  if (state.distanceToPowerUp <= 0) {
+    const lane = state.random.int(LANE_COUNT) + MIN_LANE;
+    state.powerUps.push({
+      id: state.nextId++,
+      type: state.random.pick(Object.keys(POWER_UP_TYPES)),
+      x: getLaneX(lane),
+      y: POWER_UP_HEIGHT,
+      z: POWER_UP_SPAWN_Z,
+    });
+    state.distanceToPowerUp = state.random.range(MIN_POWER_UP_GAP, MAX_POWER_UP_GAP);
+  }
+
+  keepWhere(state.powerUps, (powerUp) => {
+    powerUp.z += distance;
+
+    if (boxesIntersect(playerBox, getPowerUpBox(powerUp, state.hitboxes, entityBox))) {
+      activatePowerUp(state, powerUp.type);
+      events.push({ type: 'powerUp', powerUp: powerUp.type });
+      return false;
+    }
+
+    return powerUp.z <= RECYCLE_Z; // Missed pickups are dropped once behind the camera
+  });
+}
+
+/**
+ * Advances a run by one step.
+ * @param {Object} state - State from `createSimulation` (mutated in place).
+ * @param {string[]} [actions] - Player actions (`left`, `right`, `jump`, `slide`) to apply this step.
+ * @param {number} [delta] - Step length in seconds.
+ * @returns {Object[]} - Events raised this step (`jump`, `jumpCancel`, `fastFall`, `land`,
+ *   `slide`, `slideEnd`, `laneChange`, `coin`, `nearMiss`, `powerUp`, `powerUpEnd`, `shieldBreak`,
+ *   `stumble`, `collision`).
+ */
+export function stepSimulation(state, actions = [], delta = FIXED_TIMESTEP) {
+  const events = [];
+  if (!state.active) return events;
+
+  actions.forEach((action) => {
+    applyAction(state, action, events);
+    state.inputLog.push({ tick: state.tick, action });
+  });
+
+  updatePlayer(state, delta, events);
+  tickPowerUps(state, delta, events);
+
+  // Ramp speed and barrier density with distance
+  updateDifficulty(state);
+  if (state.debug.speedOverride) state.speed = state.debug.speedOverride;
+
+  const distance = getWorldSpeed(state) * delta; // Distance covered this step
+  addDistance(state, distance);
+
+  updateBarriers(state, distance, delta, events);
+  if (state.active) {
+    applyMagnet(state, delta);
+    updateCoins(state, distance, events);
+    updatePowerUpPickups(state, distance, events);
+
+    // Keep enough obstacles ahead, one chunk per step. Spawned after everything has
+    // scrolled, so a new chunk sits exactly where the generator checked it
+    if (state.barriers.length < state.maxBarriers) {
+      spawnChunk(state);
+    }
+  }
+
+  state.tick++;
+  state.time += delta;
+
+  return events;
+}
+
+/**
+ * Returns what the next revive costs.
+ * @param {Object} state - Simulation state.
+ * @returns {number} - Coins.
+ */
+export function getReviveCost(state) {
+  return REVIVE_BASE_COST * 2 ** state.revives;
+}
+
+/**
+ * Checks whether a run has ended and can be revived with the coins left.
+ * @param {Object} state - Simulation state.
+ * @returns {boolean} - True if `reviveRun` would succeed.
+ */
+export function canRevive(state) {
+  return !state.active && state.coinCount - state.coinsSpent >= getReviveCost(state);
+}
+
+/**
+ * Continues a run that ended in a collision, paid for with coins collected in the run.
+ * Barriers just ahead are cleared and the player gets one life, starting with a
+ * stumble's invulnerability. The revive is logged so replays include it.
+ * @param {Object} state - Simulation state (mutated in place).
+ * @returns {boolean} - True if the run was revived; false if it hasn't ended or the coins don't cover the cost.
+ */
+export function reviveRun(state) {
+  if (!canRevive(state)) return false;
+
+  const { player } = state;
+  keepWhere(state.barriers, (barrier) => barrier.z < player.z - REVIVE_CLEAR_DISTANCE);
+
+  // Back on the ground, running
+  Object.assign(player, {
+    y: 0,
+    velocityY: 0,
+    isJumping: false,
+    isSliding: false,
+    slideTimer: 0,
+    airTime: 0,
+    fastFalling: false,
+    bufferedAction: null,
+    stumbleTimer: STUMBLE_DURATION,
+  });
+
+  state.coinsSpent += getReviveCost(state);
+  state.revives++;
+  state.lives = 1;
+  state.active = true;
+  state.inputLog.push({ tick: state.tick, action: 'revive' });
+  return true;
+}
+
+/**
+ * Changes developer options (`invincible`, `speedOverride`). Marks the run as debug-assisted
+ * so it isn't saved or submitted.
+ * @param {Object} state - Simulation state (mutated in place).
+ * @param {Object} options - Options to change.
+ */
+export function setDebugOptions(state, options) {
+  Object.assign(state.debug, options, { used: true });
+}
+
+/**
+ * Drops a specific obstacle onto the track, for testing collisions. Marks the run as debug-assisted.
+ * @param {Object} state - Simulation state (mutated in place).
+ * @param {string} type - Obstacle type id from ObstacleTypes.js.
+ * @param {number} lane - Lane id from MIN_LANE to MAX_LANE.
+ * @param {number} [z] - Spawn Z.
+ */
+export function spawnObstacle(state, type, lane, z = DEBUG_SPAWN_Z) {
+  state.barriers.push({ id: state.nextId++, ...createObstacleFields(type, lane), z, passed: false });
+  state.debug.used = true;
+}
+
+/**
+ * Runs a whole game headlessly, e.g. to replay a bug report or to batch-test balance.
+ * @param {Object} options
+ * @param {string|number} [options.seed] - Run seed.
+ * @param {string} [options.difficulty] - Difficulty tier id.
+ * @param {Object} [options.hitboxes] - Hitboxes the run was played with, as in its replay.
+ * @param {Object[]} [options.inputs] - `{ tick, action }` entries, as recorded in `state.inputLog`
+ *   (including `revive`).
+ * @param {number} [options.maxTicks] - Stop after this many steps even if still alive.
+ * @returns {Object} - The final simulation state.
+ */
+export function runSimulation({ seed, difficulty, hitboxes, inputs = [], maxTicks = 60 * 60 * 10 } = {}) {
+  const state = createSimulation({ seed, difficulty, hitboxes });
+  const pending = [...inputs].sort((a, b) => a.tick - b.tick);
+  let inputIndex = 0;
+
+  while (state.tick < maxTicks) {
+    // Revives are logged at the tick the run ended
+    if (!state.active) {
+      if (pending[inputIndex]?.action !== 'revive' || !reviveRun(state)) break;
+      inputIndex++;
+      continue;
+    }
+
+    const actions = [];
+    while (inputIndex < pending.length && pending[inputIndex].tick <= state.tick) {
+      actions.push(pending[inputIndex++].action);
+    }
+    stepSimulation(state, actions);
+  }
+
+  return state;
+}
+
+/**
+ * Extracts what is needed to replay a run exactly.
+ * @param {Object} state - Simulation state.
+ * @returns {{ seed: (string|number), difficulty: string, hitboxes: Object, inputs: Object[] }} - Replay data.
+ */
+export function getReplay(state) {
+  return { seed: state.seed, difficulty: state.difficulty, hitboxes: state.hitboxes, inputs: [...state.inputLog] };
+}
+
+/**
+ * Copies the fields the React UI displays out of the simulation state.
+ * @param {Object} state - Simulation state.
+ * @returns {Object} - Plain snapshot for `setGameState`.
+ */
+export function getSnapshot(state) {
+  return {
+    active: state.active,
+    seed: state.seed,
+    difficulty: state.difficulty,
+    speed: state.speed,
+    score: state.score,
+    distance: state.distance,
+    distanceScore: state.distanceScore,
+    coinScore: state.coinScore,
+    coinCount: state.coinCount,
+    coinsSpent: state.coinsSpent,
+    lives: state.lives,
+    reviveCost: getReviveCost(state),
+    canRevive: canRevive(state),
+    multiplier: state.multiplier,
+    streak: state.streak,
+    nearMisses: state.nearMisses,
+    currentLane: state.player.lane,
+    activePowerUps: { ...state.activePowerUps },
+  };
+}
@@ -0,0 +1,252 @@
+// ./src/app/components/Sound.js
+//
+// Web Audio engine for music and sound effects. Sounds are decoded once into buffers
+// and every play gets its own source node, so effects overlap instead of cutting each
+// other off. Music and effects run through separate gain buses under a master gain:
+//
+//   music source -> music bus -> duck gain \
+//                                           master -> speakers
+//   effect sources -> effects bus ---------/
+
+// Recorded sounds in the public folder
+const SOUND_FILES = {
+  music: '/keeprunning.mp3',
+  coin: '/coin.mp3',
+};
+
+// Effects without a recording, synthesised once into buffers: a pitch sweep from
+// `from` to `to` Hz (or white noise) with a fast attack and exponential decay
+const SYNTH_SOUNDS = {
+  jump: { wave: 'square', from: 280, to: 620, duration: 0.16, gain: 0.25 },
+  slide: { wave: 'noise', from: 0, to: 0, duration: 0.25, gain: 0.2 },
+  powerUp: { wave: 'triangle', from: 440, to: 1320, duration: 0.4, gain: 0.35 },
+  shieldBreak: { wave: 'square', from: 880, to: 180, duration: 0.3, gain: 0.25 },
+  crash: { wave: 'noise', from: 0, to: 0, duration: 0.6, gain: 0.6 },
+};
+
+const MAX_VOICES = 16; // Effects playing at once; extra plays are dropped
+const COIN_STREAK_WINDOW = 0.5; // Seconds between coins that keep a streak going
+const COIN_STREAK_STEPS = 12; // Each coin in a streak plays a semitone higher, up to an octave
+const DUCK_LEVEL = 0.3; // Music level while ducked (Game Over)
+const DUCK_TIME = 0.4; // Seconds to fade in or out of a duck
+const TEMPO_FOLLOW = 0.5; // How much of the speed-up the music follows (1 = all of it)
+const MIN_TEMPO = 0.8;
+const MAX_TEMPO = 1.3;
+const TEMPO_SMOOTHING = 0.5; // Time constant of tempo changes, in seconds
+
+let context = null;
+let masterGain, musicBus, duckGain, effectsBus;
+const buffers = {};
+let loading = null; // Promise for the buffers, shared by every caller of initSound
+
+let musicSource = null;
+let musicWanted = false; // Music was started before its buffer finished loading
+let musicTempo = 1;
+let activeVoices = 0;
+let coinStreak = 0;
+let lastCoinTime = -Infinity;
+
+// Renders a SYNTH_SOUNDS entry into an audio buffer
+function createSynthBuffer({ wave, from, to, duration, gain }) {
+  const length = Math.ceil(duration * context.sampleRate);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  let phase = 0;
+
+  for (let i = 0; i < length; i++) {
+    const t = i / length;
+    phase += (from + (to - from) * t) / context.sampleRate;
+
+    let sample;
+    if (wave === 'noise') sample = Math.random() * 2 - 1;
+    else if (wave === 'square') sample = phase % 1 < 0.5 ? 1 : -1;
+    else if (wave === 'triangle') sample = 4 * Math.abs((phase % 1) - 0.5) - 1;
+    else sample = Math.sin(phase * 2 * Math.PI);
+
+    const envelope = Math.min(1, i / 200) * Math.exp(-5 * t); // Short attack avoids a click
+    data[i] = sample * envelope * gain;
+  }
+
+  return buffer;
+}
+
+// Fetches and decodes one sound file; a missing file leaves that sound silent
+async function loadBuffer(name, url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    buffers[name] = await context.decodeAudioData(await response.arrayBuffer());
+  } catch (error) {
+    console.warn(`Could not load sound ${url}:`, error);
+  }
+}
+
+/**
+ * Creates the audio context and buses and loads every sound. Safe to call more than
+ * once; later calls return the same promise.
+ * @returns {Promise<void>} - Resolves once all sounds are decoded (or failed to load).
+ */
+export function initSound() {
+  if (loading) return loading;
+
+  const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContextClass) {
+    loading = Promise.resolve(); // No Web Audio (server render or old browser): stay silent
+    return loading;
+  }
+
+  context = new AudioContextClass();
+  masterGain = context.createGain();
+  masterGain.connect(context.destination);
+  duckGain = context.createGain();
+  duckGain.connect(masterGain);
+  musicBus = context.createGain();
+  musicBus.connect(duckGain);
+  effectsBus = context.createGain();
+  effectsBus.connect(masterGain);
+
+  Object.entries(SYNTH_SOUNDS).forEach(([name, recipe]) => {
+    buffers[name] = createSynthBuffer(recipe);
+  });
+
+  loading = Promise.all(Object.entries(SOUND_FILES).map(([name, url]) => loadBuffer(name, url))).then(() => {
+    if (musicWanted) startMusic();
+  });
+  return loading;
+}
+
+/**
+ * Resumes the audio context. Browsers keep it suspended until the page gets a click,
+ * tap or key press, so call this from input handlers.
+ */
+export function unlockSound() {
+  if (context && context.state === 'suspended') context.resume();
+}
+
+/**
+ * Stops or restarts all audio, e.g. while the game is paused.
+ * @param {boolean} paused - True to suspend, false to resume.
+ */
+export function setSoundPaused(paused) {
+  if (!context) return;
+  if (paused) context.suspend();
+  else context.resume();
+}
+
+/**
+ * Sets the bus volumes from the player's settings.
+ * @param {Object} settings - `{ musicVolume, sfxVolume, muted }` from Settings.js.
+ */
+export function setSoundVolumes({ musicVolume, sfxVolume, muted }) {
+  if (!context) return;
+  masterGain.gain.value = muted ? 0 : 1;
+  musicBus.gain.value = musicVolume;
+  effectsBus.gain.value = sfxVolume;
+}
+
+/**
+ * Plays a sound effect. Each call gets its own voice, so repeated sounds overlap.
+ * @param {string} name - Sound name from SOUND_FILES or SYNTH_SOUNDS.
+ * @param {Object} [options]
+ * @param {number} [options.rate=1] - Playback rate; 2 plays an octave higher.
+ * @param {number} [options.volume=1] - Volume relative to the effects bus.
+ */
+export function playSound(name, { rate = 1, volume = 1 } = {}) {
+  if (!context || !buffers[name] || activeVoices >= MAX_VOICES) return;
+
+  const source = context.createBufferSource();
+  source.buffer = buffers[name];
+  source.playbackRate.value = rate;
+
+  const gain = context.createGain();
+  gain.gain.value = volume;
+  source.connect(gain);
+  gain.connect(effectsBus);
+
+  activeVoices++;
+  source.onended = () => {
+    activeVoices--;
+    gain.disconnect();
+  };
+  source.start();
+}
+
+/**
+ * Plays the coin pickup sound, a semitone higher for each coin collected in quick succession.
+ */
+export function playCoinSound() {
+  if (!context) return;
+
+  const now = context.currentTime; // Stops while suspended, so pausing doesn't break a streak
+  coinStreak = now - lastCoinTime < COIN_STREAK_WINDOW ? Math.min(coinStreak + 1, COIN_STREAK_STEPS) : 0;
+  lastCoinTime = now;
+
+  playSound('coin', { rate: Math.pow(2, coinStreak / 12) });
+}
+
+/**
+ * Starts the looping music from the beginning. If the music is still loading it starts
+ * once ready.
+ */
+export function startMusic() {
+  musicWanted = true;
+  if (!context || !buffers.music) return;
+
+  stopMusic();
+  musicWanted = true;
+  musicSource = context.createBufferSource();
+  musicSource.buffer = buffers.music;
+  musicSource.loop = true;
+  musicSource.playbackRate.value = musicTempo;
+  musicSource.connect(musicBus);
+  musicSource.start();
+}
+
+/**
+ * Stops the music.
+ */
+export function stopMusic() {
+  musicWanted = false;
+  if (!musicSource) return;
+
+  musicSource.stop();
+  musicSource.disconnect();
+  musicSource = null;
+}
+
+/**
+ * Lowers the music under the Game Over screen, or brings it back.
+ * @param {boolean} ducked - True to lower, false to restore.
+ */
+export function duckMusic(ducked) {
+  if (!context) return;
+  duckGain.gain.setTargetAtTime(ducked ? DUCK_LEVEL : 1, context.currentTime, DUCK_TIME / 3);
+}
+
+/**
+ * Speeds the music up with the game. Playback rate changes pitch along with tempo.
+ * @param {number} speedRatio - Current speed over the difficulty's start speed.
+ */
+export function setMusicTempo(speedRatio) {
+  const tempo = Math.min(MAX_TEMPO, Math.max(MIN_TEMPO, 1 + (speedRatio - 1) * TEMPO_FOLLOW));
+  if (Math.abs(tempo - musicTempo) < 0.005) return; // Skip tiny changes so automation events don't pile up
+
+  musicTempo = tempo;
+  if (musicSource) musicSource.playbackRate.setTargetAtTime(tempo, context.currentTime, TEMPO_SMOOTHING);
+}
+
+/**
+ * Stops all audio and closes the audio context.
+ */
+export function disposeSound() {
+  stopMusic();
+  if (context) context.close();
+
+  context = null;
+  loading = null;
+  Object.keys(buffers).forEach((name) => delete buffers[name]);
+  musicTempo = 1;
+  activeVoices = 0;
+  coinStreak = 0;
+  lastCoinTime = -Infinity;
+}
@@ -0,0 +1,29 @@
+// ./src/app/components/Track.js
+//
+// Track layout shared by the simulation and every view module (player, obstacles,
+// coins, environment). Lane 0 is the middle of the road at X = 0; everything that
+// lives in a lane is centred on `getLaneX(lane)`.
+
+export const LANE_DISTANCE = 4; // X distance between lane centres
+export const LANE_COUNT = 3;
+export const MIN_LANE = -(LANE_COUNT - 1) / 2;
+export const MAX_LANE = (LANE_COUNT - 1) / 2;
+
+/**
+ * Returns the X position of a lane's centre.
+ * @param {number} lane - Lane id from MIN_LANE to MAX_LANE.
+ * @returns {number} - World X.
+ */
+export function getLaneX(lane) {
+  return lane * LANE_DISTANCE;
+}
+
+// Road and scenery
+export const ROAD_SEGMENT_LENGTH = 800; // Length of one street_road.glb segment
+export const ROAD_SEGMENT_COUNT = 3;
+export const ROAD_X = -8.8; // The road model's pivot is off-centre; this puts its middle lane at X = 0
+export const ROAD_SCALE = 2;
+export const SIDEWALK_X = 45; // Centre of the grey planes either side of the road
+export const SIDEWALK_WIDTH = 50;
+export const BUILDING_X = { left: -20, right: 57 }; // The building model's pivot is off-centre too
+export const SCENERY_RECYCLE_Z = 50; // Scenery behind the camera past this Z is moved to the back
@@ -1,45 +1,173 @@
 'use client'; // Enables client-side rendering for Next.js
 import React, { useEffect, useState } from 'react';
-import { ArrowLeftIcon } from '@heroicons/react/24/solid';
+import {
+  ArrowDownIcon,
+  ArrowLeftIcon,
+  ArrowRightIcon,
+  ArrowUpIcon,
+  Cog6ToothIcon,
+  HeartIcon,
+  PauseIcon,
+  PlayIcon,
+} from '@heroicons/react/24/solid';
+import { getDifficulty } from './Difficulty';
+import { POWER_UP_TYPES } from './PowerUps';
 
-export default function UI({ gameState, onRestart, onExit }) {
-  const [fps, setFps] = useState(0);
+// CSS color for a power-up's countdown bar
+const toCssColor = (color) => `#${color.toString(16).padStart(6, '0')}`;
+
+// On-screen buttons for the "buttons" control scheme, in screen order
+const ACTION_BUTTONS = [
+  { action: 'left', label: 'Move left', Icon: ArrowLeftIcon },
+  { action: 'jump', label: 'Jump', Icon: ArrowUpIcon },
+  { action: 'slide', label: 'Slide', Icon: ArrowDownIcon },
+  { action: 'right', label: 'Move right', Icon: ArrowRightIcon },
+];
+
+export default function UI({
+  gameState,
+  runResult,
+  paused,
+  onPause,
+  onResume,
+  onRestart,
+  onRevive,
+  onExit,
+  onSettings,
+  controlScheme,
+  onAction,
+}) {
   const [score, setScore] = useState(0);
   const [coins, setCoins] = useState(0);
   const [multiplier, setMultiplier] = useState(1);
+  const [breakdown, setBreakdown] = useState({ distance: 0, distanceScore: 0, coinScore: 0, nearMisses: 0 });
   const [gameOver, setGameOver] = useState(false);
-
-  let lastFrameTime = performance.now();
-
-  // Update FPS in real-time
-  useEffect(() => {
-    const updateFPS = () => {
-      const currentTime = performance.now();
-      const deltaTime = currentTime - lastFrameTime;
-      setFps(Math.round(1000 / deltaTime));
-      lastFrameTime = currentTime;
-      requestAnimationFrame(updateFPS);
-    };
-    updateFPS();
-  }, []);
+  const spendableCoins = gameState.coinCount - gameState.coinsSpent; // Collected this run, minus what revives cost
 
   // Update game UI based on props
   useEffect(() => {
     setScore(gameState.score);
     setCoins(gameState.coinCount);
     setMultiplier(gameState.multiplier);
+    setBreakdown({
+      distance: Math.floor(gameState.distance),
+      distanceScore: gameState.distanceScore,
+      coinScore: gameState.coinScore,
+      nearMisses: gameState.nearMisses,
+    });
     setGameOver(!gameState.active); // Show Game Over screen when game stops
   }, [gameState]);
 
   return (
     <div 
-    style={{ zIndex: gameOver ? 50 : 10 }}
-    className=" absolute inset-0 flex flex-col justify-between">
+    style={{ zIndex: gameOver || paused ? 50 : 40 }}
+    className=" absolute inset-0 flex flex-col justify-between pointer-events-none">
       {/* Game Stats */}
       <div className="absolute top-4 left-4 bg-green-600 border-4 border-white py-2 px-4 opacity-90 rounded-full pointer-events-auto">
-        <div className="text-xl text-white">Coins: {coins}</div>
+        <div className="text-xl text-white">Coins: {spendableCoins}</div>
+      </div>
+      <div className="absolute top-4 right-4 bg-blue-600 border-4 border-white py-2 px-4 opacity-90 rounded-full pointer-events-auto">
+        <div className="text-xl text-white">
+          Score: {score} <span className="text-yellow-300">x{multiplier}</span>
+        </div>
+      </div>
+
+      {/* Lives */}
+      {!gameOver && gameState.lives > 0 && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 flex gap-1 bg-gray-800 border-4 border-white py-2 px-3 opacity-90 rounded-full pointer-events-none">
+          {Array.from({ length: gameState.lives }, (_, index) => (
+            <HeartIcon key={index} className="w-6 h-6 text-red-500" />
+          ))}
+        </div>
+      )}
+
+      {/* Power-up Countdowns */}
+      <div className="absolute top-20 left-4 flex flex-col gap-2 pointer-events-none">
+        {Object.values(POWER_UP_TYPES)
+          .filter((powerUp) => gameState.activePowerUps?.[powerUp.id] > 0)
+          .map((powerUp) => {
+            const remaining = gameState.activePowerUps[powerUp.id];
+            return (
+              <div key={powerUp.id} className="bg-gray-800 bg-opacity-80 border-2 border-white rounded-full px-3 py-1 text-white w-40">
+                <div className="flex justify-between text-sm font-bold">
+                  <span>{powerUp.label}</span>
+                  <span>{Math.ceil(remaining)}s</span>
+                </div>
+                <div className="h-1.5 bg-gray-600 rounded-full overflow-hidden">
+                  <div
+                    className="h-full"
+                    style={{
+                      width: `${(remaining / powerUp.duration) * 100}%`,
+                      backgroundColor: toCssColor(powerUp.color),
+                    }}
+                  />
+                </div>
+              </div>
+            );
+          })}
       </div>
 
+      {/* Pause Button */}
+      {!gameOver && !paused && (
+        <button
+          onClick={onPause}
+          aria-label="Pause"
+          className="absolute top-20 right-4 bg-gray-800 border-4 border-white p-2 opacity-90 rounded-full pointer-events-auto hover:bg-gray-700"
+        >
+          <PauseIcon className="w-6 h-6 text-white" />
+        </button>
+      )}
+
+      {/* Touch Buttons */}
+      {controlScheme === 'buttons' && !gameOver && !paused && (
+        <div className="absolute bottom-6 inset-x-0 flex justify-center gap-4 pointer-events-none">
+          {ACTION_BUTTONS.map(({ action, label, Icon }) => (
+            <button
+              key={action}
+              onPointerDown={() => onAction(action)} // Fires on touch start, without the click delay
+              aria-label={label}
+              className="bg-gray-800 border-4 border-white p-4 opacity-80 rounded-full pointer-events-auto active:bg-gray-600"
+            >
+              <Icon className="w-8 h-8 text-white" />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Pause Screen */}
+      {paused && !gameOver && (
+        <div
+          className="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 text-white pointer-events-auto"
+        >
+          <div className="p-4 bg-gray-800 rounded-lg shadow-lg">
+            <div className="text-center p-4 flex flex-col gap-3">
+              <h1 className="text-4xl font-superkind mb-4">Paused</h1>
+              <button
+                onClick={onResume}
+                className="inline-flex justify-center px-6 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-400 focus:ring-opacity-75"
+              >
+                <PlayIcon className="w-5 h-5 mt-0.5 mr-2" /> Resume
+              </button>
+              <button
+                onClick={onRestart}
+                className="px-6 py-3 bg-blue-500 text-white font-bold rounded-lg hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-opacity-75"
+              >
+                Restart Game
+              </button>
+              <button
+                onClick={onSettings}
+                className="inline-flex justify-center px-6 py-3 bg-gray-600 text-white font-bold rounded-lg hover:bg-gray-500 focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-opacity-75"
+              >
+                <Cog6ToothIcon className="w-5 h-5 mt-0.5 mr-2" /> Settings
+              </button>
+              <button onClick={onExit} className="inline-flex justify-center rounded-xl hover:bg-gray-700 p-2">
+                <ArrowLeftIcon className="w-4 h-4 mt-1 mr-2" /> Exit Game
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Game Over Screen */}
       {gameOver && (
         <div
@@ -51,13 +179,43 @@ export default function UI({ gameState, onRestart, onExit }) {
             </button>
             <div className="text-center p-4">
               <h1 className="text-4xl font-superkind mb-4">Game Over</h1>
-              <p className="text-lg mb-6">Total Coins: {coins}</p>
-              <button
-                onClick={onRestart}
-                className="mt-4 px-6 py-3 bg-blue-500 text-white font-bold rounded-lg hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-opacity-75"
-              >
-                Restart Game
-              </button>
+              {runResult && (runResult.isNewBestScore || runResult.isNewBestDistance) && (
+                <p className="text-2xl font-bold text-yellow-300 mb-2 animate-bounce">New Best!</p>
+              )}
+              <p className="text-3xl font-bold mb-4">Score: {score}</p>
+              <div className="text-lg mb-6 text-left space-y-1">
+                <p>Distance: {breakdown.distance}m ({breakdown.distanceScore} pts)</p>
+                <p>
+                  Coins: {coins} ({breakdown.coinScore} pts)
+                  {gameState.coinsSpent > 0 && `, ${gameState.coinsSpent} spent on revives`}
+                </p>
+                <p>Near Misses: {breakdown.nearMisses}</p>
+                <p>Final Multiplier: x{multiplier}</p>
+                <p>Difficulty: {getDifficulty(gameState.difficulty).label}</p>
+                <p>Course Seed: {gameState.seed}</p>
+                {runResult && (
+                  <p>
+                    Best: {runResult.stats.bestScore} pts / {runResult.stats.bestDistance}m
+                  </p>
+                )}
+              </div>
+              <div className="mt-4 flex flex-col gap-3">
+                {/* Continue from here, paid with the coins collected this run */}
+                <button
+                  onClick={onRevive}
+                  disabled={!gameState.canRevive}
+                  className="inline-flex justify-center px-6 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-green-400 focus:ring-opacity-75 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <HeartIcon className="w-5 h-5 mt-0.5 mr-2" /> Revive for {gameState.reviveCost} coins
+                </button>
+                <p className="text-sm text-gray-300">You have {spendableCoins} coins</p>
+                <button
+                  onClick={onRestart}
+                  className="px-6 py-3 bg-blue-500 text-white font-bold rounded-lg hover:bg-blue-600 focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-opacity-75"
+                >
+                  Restart Game
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -0,0 +1,25 @@
+import { notFound } from 'next/navigation';
+import GameCanvas from '../../components/GameCanvas';
+import { getCharacter } from '../../components/Characters';
+
+export default async function Page({ params, searchParams }) {
+  const { character } = await params;
+  const { difficulty, seed, debug, perf } = await searchParams;
+
+  if (!getCharacter(character)) {
+    notFound();
+  }
+
+  return (
+    <div>
+      <GameCanvas
+        key={Date.now()}
+        character={character}
+        difficulty={difficulty}
+        seed={seed}
+        debug={debug === '1'}
+        perf={perf === '1'}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// ./tests/patterns.test.mjs
+//
+// Checks that the chunk generator in Patterns.js always finds a way through: every tier,
+// across its whole speed and spacing ramp, for many seeds. Run with `npm test`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateChunk } from '../src/app/components/Patterns.js';
+import { createHitboxes, getPlayerMoves, FIRST_BARRIER_Z } from '../src/app/components/Simulation.js';
+import { DIFFICULTY_TIERS } from '../src/app/components/Difficulty.js';
+import { WORLD_UNITS_PER_SPEED } from '../src/app/components/GameLoop.js';
+import { LANE_COUNT, MIN_LANE } from '../src/app/components/Track.js';
+import { createRandom } from '../src/app/components/Random.js';
+
+const SEEDS = 20;
+const CHUNKS_PER_SEED = 25; // Chained, so each chunk starts from where the last one left the player
+const RAMP_STEPS = [0, 0.25, 0.5, 0.75, 1]; // From the tier's start values to its end values
+
+const lerp = (from, to, progress) => from + (to - from) * progress;
+
+Object.values(DIFFICULTY_TIERS).forEach((tier) => {
+  test(`every ${tier.label} chunk has a route through it`, () => {
+    const hitboxes = createHitboxes();
+
+    RAMP_STEPS.forEach((progress) => {
+      const worldSpeed = lerp(tier.startSpeed, tier.maxSpeed, progress) * WORLD_UNITS_PER_SPEED;
+      const spacing = lerp(tier.startSpacing, tier.endSpacing, progress);
+
+      for (let seed = 0; seed < SEEDS; seed++) {
+        const random = createRandom(`${tier.id}-${progress}-${seed}`);
+        let entry = { lanes: { [-MIN_LANE]: 0 }, edge: FIRST_BARRIER_Z, lastCoin: -Infinity }; // As a run starts
+        let courseStart = 0;
+
+        for (let i = 0; i < CHUNKS_PER_SEED; i++) {
+          const where = `${tier.id} at ${progress * 100}% of the ramp, seed ${seed}, chunk ${i}`;
+          let chunk;
+          assert.doesNotThrow(() => {
+            chunk = generateChunk(random, {
+              laneCount: LANE_COUNT,
+              entry,
+              worldSpeed,
+              spacing,
+              obstacleWeights: tier.obstacleWeights,
+              hitboxes: hitboxes.obstacles,
+              moves: getPlayerMoves(hitboxes),
+              courseStart,
+            });
+          }, where);
+
+          assert.ok(Object.keys(chunk.exit.lanes).length > 0, `${where}: no lane left open`);
+          assert.ok(chunk.rows.length > 0 && chunk.length > 0, `${where}: empty chunk`);
+
+          entry = chunk.exit;
+          courseStart += chunk.length;
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// ./tests/scoresRoute.test.mjs
+//
+// Checks of the /api/scores route handlers against the in-memory store: submitted runs
+// can only be updated with the edit token their POST returned. Run with `npm test`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SCORES_STORE = 'memory'; // Before the route creates its store
+const { GET, POST, PATCH } = await import('../src/app/api/scores/route.js');
+
+const RUN = {
+  name: 'alice',
+  character: 'girl',
+  difficulty: 'normal',
+  seed: 's1',
+  score: 1000,
+  coins: 10,
+  distance: 900,
+  duration: 30,
+};
+
+const request = (method, body) =>
+  new Request('http://localhost/api/scores', { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+async function submit(run = RUN) {
+  const response = await POST(request('POST', run));
+  assert.equal(response.status, 201);
+  return (await response.json()).score;
+}
+
+async function getScores(seed) {
+  const response = await GET(new Request(`http://localhost/api/scores?seed=${seed}`));
+  return (await response.json()).scores;
+}
+
+test('POST returns an edit token that GET never shows', async () => {
+  const entry = await submit({ ...RUN, seed: 'token-hidden' });
+  assert.equal(typeof entry.editToken, 'string');
+
+  const [listed] = await getScores('token-hidden');
+  assert.equal(listed.id, entry.id);
+  assert.equal(listed.editToken, undefined);
+});
+
+test('PATCH needs the edit token of the entry', async () => {
+  const entry = await submit({ ...RUN, seed: 'token-checked' });
+  const further = { ...RUN, seed: 'token-checked', score: 2000, distance: 1500, duration: 40 };
+
+  const missing = await PATCH(request('PATCH', { ...further, id: entry.id }));
+  assert.equal(missing.status, 400);
+
+  const [listed] = await getScores('token-checked');
+  const wrong = await PATCH(request('PATCH', { ...further, id: listed.id, editToken: 'guessed' }));
+  assert.equal(wrong.status, 403);
+  assert.equal((await getScores('token-checked'))[0].score, 1000);
+
+  const allowed = await PATCH(request('PATCH', { ...further, id: entry.id, editToken: entry.editToken }));
+  assert.equal(allowed.status, 200);
+  const updated = (await allowed.json()).score;
+  assert.equal(updated.score, 2000);
+  assert.equal(updated.editToken, undefined);
+});
+
+test('PATCH keeps the submitted name', async () => {
+  const entry = await submit({ ...RUN, seed: 'name-kept' });
+
+  const response = await PATCH(
+    request('PATCH', { ...RUN, seed: 'name-kept', name: 'mallory', score: 1500, id: entry.id, editToken: entry.editToken })
+  );
+  assert.equal(response.status, 200);
+  assert.equal((await getScores('name-kept'))[0].name, 'alice');
+});
+
+test('PATCH only accepts a run that continues the stored one', async () => {
+  const entry = await submit({ ...RUN, seed: 'continued' });
+  const token = { id: entry.id, editToken: entry.editToken };
+
+  const lower = await PATCH(request('PATCH', { ...RUN, seed: 'continued', score: 500, ...token }));
+  assert.equal(lower.status, 409);
+
+  const otherCourse = await PATCH(request('PATCH', { ...RUN, seed: 'other', score: 1500, ...token }));
+  assert.equal(otherCourse.status, 409);
+});
@@ -0,0 +1,150 @@
+// ./tests/simulation.test.mjs
+//
+// Headless checks of the game rules in Simulation.js: getting past each kind of obstacle,
+// losing lives, and replaying a run from its seed and inputs. Run with `npm test`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createSimulation,
+  stepSimulation,
+  spawnObstacle,
+  runSimulation,
+  getReplay,
+} from '../src/app/components/Simulation.js';
+import { getWorldSpeed } from '../src/app/components/GameLoop.js';
+
+// A run with nothing on the track but the obstacles a test drops onto it
+function createEmptyRun(difficulty = 'normal') {
+  const state = createSimulation({ seed: 1, difficulty });
+  state.barriers.length = 0;
+  state.coins.length = 0;
+  state.lastBarrierZ = -100000; // Chunks keep spawning, but far beyond anything under test
+  state.distanceToPowerUp = Infinity; // No shield to absorb a hit
+  return state;
+}
+
+// Steps the run, returning every event raised
+function run(state, steps, actionsAt = () => []) {
+  const events = [];
+  for (let i = 0; i < steps && state.active; i++) {
+    events.push(...stepSimulation(state, actionsAt(i)));
+  }
+  return events;
+}
+
+// Steps until the barrier is `seconds` away from the player at the current speed
+function runUntilAhead(state, barrier, seconds) {
+  const events = [];
+  while (state.active && barrier.z < -getWorldSpeed(state) * seconds) {
+    events.push(...stepSimulation(state));
+  }
+  return events;
+}
+
+const countEvents = (events, type) => events.filter((event) => event.type === type).length;
+
+test('jumping clears a hurdle', () => {
+  const state = createEmptyRun();
+  spawnObstacle(state, 'hurdle', 0, -40);
+  const [hurdle] = state.barriers;
+
+  runUntilAhead(state, hurdle, 0.4); // Apex of the jump right over it
+  const events = run(state, 90, (i) => (i === 0 ? ['jump'] : []));
+
+  assert.equal(countEvents(events, 'stumble') + countEvents(events, 'collision'), 0);
+  assert.equal(state.lives, 2);
+  assert.equal(countEvents(events, 'nearMiss'), 1);
+  assert.ok(hurdle.passed);
+});
+
+test('sliding passes under an overhead bar', () => {
+  const state = createEmptyRun();
+  spawnObstacle(state, 'overhead', 0, -40);
+  const [bar] = state.barriers;
+
+  runUntilAhead(state, bar, 0.5);
+  const events = run(state, 90, (i) => (i === 0 ? ['slide'] : []));
+
+  assert.equal(countEvents(events, 'stumble') + countEvents(events, 'collision'), 0);
+  assert.equal(countEvents(events, 'nearMiss'), 1);
+  assert.ok(bar.passed);
+});
+
+test('running upright into an overhead bar costs a life', () => {
+  const state = createEmptyRun();
+  spawnObstacle(state, 'overhead', 0, -40);
+
+  const events = run(state, 180);
+
+  assert.equal(countEvents(events, 'stumble'), 1);
+  assert.equal(state.lives, 1);
+});
+
+test('changing lanes gets past a blocker', () => {
+  const state = createEmptyRun();
+  spawnObstacle(state, 'blocker', 0, -60);
+  const [blocker] = state.barriers;
+
+  runUntilAhead(state, blocker, 0.4);
+  const events = run(state, 90, (i) => (i === 0 ? ['right'] : []));
+
+  assert.equal(countEvents(events, 'stumble') + countEvents(events, 'collision'), 0);
+  assert.equal(state.player.lane, 1);
+  assert.equal(countEvents(events, 'nearMiss'), 1); // Left its lane just before it arrived
+  assert.ok(blocker.passed);
+});
+
+test('a hit stumbles while lives remain and ends the run on the last one', () => {
+  const state = createEmptyRun('normal'); // Two lives
+  spawnObstacle(state, 'hurdle', 0, -30);
+  spawnObstacle(state, 'hurdle', 0, -40); // Inside the stumble's invulnerability
+  spawnObstacle(state, 'hurdle', 0, -200);
+
+  const firstHit = run(state, 60);
+  assert.equal(countEvents(firstHit, 'stumble'), 1);
+  assert.equal(state.lives, 1);
+  assert.ok(state.player.stumbleTimer > 0);
+
+  const events = run(state, 600);
+  assert.equal(countEvents(events, 'stumble'), 0);
+  assert.equal(countEvents(events, 'collision'), 1);
+  assert.equal(state.lives, 0);
+  assert.equal(state.active, false);
+});
+
+test('a seed and its inputs replay to the same run', () => {
+  const inputs = [];
+  const actions = ['left', 'jump', 'right', 'slide', 'right', 'jump', 'left'];
+  for (let tick = 30; tick < 3000; tick += 45) {
+    inputs.push({ tick, action: actions[(tick / 15) % actions.length] });
+  }
+
+  const played = createSimulation({ seed: 'replay-test', difficulty: 'hard' });
+  let input = 0;
+  while (played.active && played.tick < 3000) {
+    const step = [];
+    while (input < inputs.length && inputs[input].tick === played.tick) step.push(inputs[input++].action);
+    stepSimulation(played, step);
+  }
+
+  const replay = JSON.parse(JSON.stringify(getReplay(played))); // As stored or sent somewhere
+  const replayed = runSimulation({ ...replay, maxTicks: 3000 });
+
+  assert.equal(replayed.tick, played.tick);
+  assert.equal(replayed.active, played.active);
+  assert.equal(replayed.score, played.score);
+  assert.equal(replayed.distance, played.distance);
+  assert.equal(replayed.coinCount, played.coinCount);
+  assert.deepEqual(replayed.inputLog, played.inputLog);
+});
+
+test('difficulty ids that are not tiers fall back to the default tier', () => {
+  ['constructor', '__proto__', 'toString', 'nightmare', undefined].forEach((difficulty) => {
+    const state = createSimulation({ seed: 1, difficulty });
+    stepSimulation(state);
+
+    assert.equal(state.difficulty, 'normal');
+    assert.ok(Number.isFinite(state.speed) && Number.isFinite(state.distance));
+  });
+});
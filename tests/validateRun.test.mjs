@@ -0,0 +1,100 @@
+// ./tests/validateRun.test.mjs
+//
+// Checks of the leaderboard's run validation (src/app/api/scores/validateRun.js): the
+// shape of a submitted run and the plausibility limits it is held to. Run with `npm test`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRun, MAX_NAME_LENGTH } from '../src/app/api/scores/validateRun.js';
+import { DIFFICULTY_TIERS } from '../src/app/components/Difficulty.js';
+import { WORLD_UNITS_PER_SPEED } from '../src/app/components/GameLoop.js';
+import { POINTS_PER_UNIT, COIN_VALUE, MAX_MULTIPLIER } from '../src/app/components/Scoring.js';
+import { FORMATION_COIN_SPACING, MAX_TRAIL_COINS } from '../src/app/components/Patterns.js';
+import { SCORE_BOOST } from '../src/app/components/PowerUps.js';
+
+// A minute on Normal that stays well inside every limit
+const RUN = {
+  name: 'alice',
+  character: 'girl',
+  difficulty: 'normal',
+  seed: 'daily-2026-10-19',
+  score: 4000,
+  coins: 50,
+  distance: 3000.4,
+  duration: 60,
+};
+
+const rejects = (changes) => validateRun({ ...RUN, ...changes }).run === null;
+
+test('a plausible run is accepted and normalized', () => {
+  const { run, errors } = validateRun({ ...RUN, name: '  alice  ', extra: 'dropped' });
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(run, { ...RUN, distance: 3000 });
+});
+
+test('a run without a name or difficulty gets the defaults', () => {
+  const { run } = validateRun({ ...RUN, name: '   ', difficulty: undefined });
+
+  assert.equal(run.name, 'Anonymous');
+  assert.equal(run.difficulty, 'normal');
+});
+
+test('bodies that are not objects are rejected', () => {
+  [null, undefined, 'run', 42].forEach((body) => assert.equal(validateRun(body).run, null));
+});
+
+test('only real difficulty tiers are accepted', () => {
+  ['__proto__', 'constructor', 'toString', 'hasOwnProperty', 'nightmare', 1, ['normal']].forEach((difficulty) => {
+    assert.ok(rejects({ difficulty }), `difficulty ${JSON.stringify(difficulty)}`);
+  });
+});
+
+test('only real characters are accepted', () => {
+  ['toString', 'constructor', '__proto__', 'valueOf', 'robot', ['girl'], undefined].forEach((character) => {
+    assert.ok(rejects({ character }), `character ${JSON.stringify(character)}`);
+  });
+});
+
+test('an inherited difficulty cannot lift the distance limit', () => {
+  assert.ok(rejects({ difficulty: '__proto__', score: 99999999, distance: 99999999, duration: 1 }));
+});
+
+test('fields of the wrong type or out of range are rejected', () => {
+  [
+    { seed: '' },
+    { seed: 12 },
+    { seed: 'x'.repeat(65) },
+    { score: -1 },
+    { score: 1.5 },
+    { score: '4000' },
+    { coins: -1 },
+    { distance: -1 },
+    { distance: Infinity },
+    { duration: 0 },
+    { duration: 24 * 60 * 60 + 1 },
+    { name: 'x'.repeat(MAX_NAME_LENGTH + 1) },
+  ].forEach((changes) => assert.ok(rejects(changes), JSON.stringify(changes)));
+});
+
+test('the distance can be at most the top speed for the whole run', () => {
+  const maxDistance = RUN.duration * DIFFICULTY_TIERS.normal.maxSpeed * WORLD_UNITS_PER_SPEED;
+
+  assert.ok(!rejects({ distance: maxDistance }));
+  assert.ok(rejects({ distance: maxDistance * 1.1 }));
+  assert.ok(!rejects({ difficulty: 'hard', distance: maxDistance * 1.1 })); // Hard runs faster
+});
+
+test('the coins can be at most one per formation spacing', () => {
+  const maxCoins = Math.ceil(RUN.distance / FORMATION_COIN_SPACING) + MAX_TRAIL_COINS;
+
+  assert.ok(!rejects({ coins: maxCoins }));
+  assert.ok(rejects({ coins: maxCoins + 1 }));
+});
+
+test('the score can be at most every point boosted at the top multiplier', () => {
+  const maxScore = Math.floor((RUN.distance * POINTS_PER_UNIT + RUN.coins * COIN_VALUE * MAX_MULTIPLIER) * SCORE_BOOST);
+
+  assert.ok(!rejects({ score: maxScore }));
+  assert.ok(rejects({ score: maxScore + 1 }));
+});